@@ -1,14 +1,22 @@
 // Extended src/analyzer/analyzer.js - Full TypeScript type support
 
 import { walk } from 'estree-walker';
+import { createDiagnostic } from './diagnostics.js';
+import { typeRefKey, resolveTypeRef } from '../parser/generics.js';
+import { tsTypeToString } from '../parser/parser.js';
+
+const PRIMITIVE_TYPES = new Set(['string', 'number', 'boolean', 'bigint', 'symbol', 'null', 'undefined']);
 
 /**
  * Static analyzer for TypeScript types
+ * Returns structured diagnostics (see diagnostics.js); printing is left to
+ * the reporter. `file` is recorded on every diagnostic.
  * Supports: all primitives, void, never, any, unknown, object, literals,
  * unions, intersections, arrays, tuples, enums, index signatures
  */
-export function staticAnalyze(typeRegistry, ast) {
+export function staticAnalyze(typeRegistry, ast, { file = null } = {}) {
   const errors = [];
+  const report = (code, message, node, related) => errors.push(createDiagnostic(code, message, node, { file, related }));
 
   // Build lookup maps
   const enumDefs = {};
@@ -18,8 +26,22 @@ export function staticAnalyze(typeRegistry, ast) {
     }
   });
 
+  // Lazy refs to recursive types are expanded one level as values are checked;
+  // a ref that only leads back to itself checks nothing
+  function resolveRef(type) {
+    const visited = new Set();
+    while (type?.kind === 'ref') {
+      const key = typeRefKey(type);
+      if (visited.has(key)) return 'unknown';
+      visited.add(key);
+      type = resolveTypeRef(type, typeRegistry) ?? 'unknown';
+    }
+    return type;
+  }
+
   // Helper to check if value matches type (for literals/constants)
   function matchesType(value, type) {
+    type = resolveRef(type);
     if (value === undefined && type === 'undefined') return true;
     if (value === null && type === 'null') return true;
 
@@ -87,7 +109,7 @@ export function staticAnalyze(typeRegistry, ast) {
         if (el?.kind === 'rest') {
           // Rest element - remaining values must match
           for (let j = i; j < value.length; j++) {
-            if (!matchesType(value[j], el.type?.elementType || el.type)) {
+            if (!matchesType(value[j], el.type)) {
               return false;
             }
           }
@@ -138,6 +160,9 @@ export function staticAnalyze(typeRegistry, ast) {
       return true;
     }
 
+    // Literals are never class instances or built-in objects
+    if (type?.kind === 'instance') return false;
+
     // Object shapes - skip for now (handled separately)
     if (typeof type === 'object' && type !== null) {
       return true; // Defer to checkObject
@@ -147,6 +172,7 @@ export function staticAnalyze(typeRegistry, ast) {
   }
 
   function checkType(name, valueNode, type, errors) {
+    type = resolveRef(type);
     // Skip meta properties
     if (name.startsWith('__')) return;
 
@@ -154,12 +180,18 @@ export function staticAnalyze(typeRegistry, ast) {
     if (valueNode.type === 'Literal' || valueNode.type === 'BigIntLiteral') {
       const value = valueNode.value ?? (valueNode.bigint ? BigInt(valueNode.bigint) : null);
       if (!matchesType(value, type)) {
-        errors.push(`[Static type error] '${name}' got ${JSON.stringify(value)}, expected ${typeToString(type)}`);
+        report('TJS2001', `'${name}' got ${JSON.stringify(value)}, expected ${typeToString(type)}`, valueNode);
       }
       return;
     }
 
     // 2. Object Check
+    if (valueNode.type === 'ObjectExpression' && type?.kind === 'record') {
+      valueNode.properties.forEach(p => {
+        if (p.type === 'Property' && !p.computed) checkType(`${name}.${p.key.name ?? p.key.value}`, p.value, type.valueType, errors);
+      });
+      return;
+    }
     if (valueNode.type === 'ObjectExpression' && typeof type === 'object' && type?.kind !== 'literal') {
       checkObject(name, valueNode, type, errors);
       return;
@@ -185,6 +217,7 @@ export function staticAnalyze(typeRegistry, ast) {
   }
 
   function checkObject(name, objectExpr, type, errors) {
+    type = resolveRef(type);
     if (typeof type !== 'object' || type === null) return;
 
     // Handle union types - check if value matches any member
@@ -227,7 +260,7 @@ export function staticAnalyze(typeRegistry, ast) {
 
       if (!(key in props)) {
         if (!isOptional) {
-          errors.push(`[Static type error] Property '${key}' is missing in object '${name}'`);
+          report('TJS2002', `Property '${key}' is missing in object '${name}'`, objectExpr);
         }
         continue;
       }
@@ -253,21 +286,110 @@ export function staticAnalyze(typeRegistry, ast) {
     }
   });
 
-  // Map function names to return types
+  // Map function names to return types; type guards return booleans and
+  // assertion functions nothing
   const funcReturnTypes = {};
   typeRegistry.forEach(entry => {
     if (entry.kind === 'function' && entry.returnType !== 'any') {
-      funcReturnTypes[entry.name] = entry.returnType;
+      const predicate = entry.returnType?.kind === 'predicate' ? entry.returnType : null;
+      funcReturnTypes[entry.name] = predicate ? (predicate.asserts ? 'void' : 'boolean') : entry.returnType;
+    }
+  });
+
+  // Assertion functions (`asserts x is T`) by name, with the index of the
+  // argument they assert on
+  const assertions = {};
+  walk(ast, {
+    enter(node, parent) {
+      const predicate = node.returnType?.typeAnnotation;
+      if (predicate?.type !== 'TSTypePredicate' || !predicate.asserts) return;
+      const name = node.id?.name || (parent?.type === 'VariableDeclarator' ? parent.id.name : null);
+      const entry = typeRegistry.find(e => e.kind === 'function' && e.name === name);
+      const params = node.params.filter(p => !(p.type === 'Identifier' && p.name === 'this'));
+      const index = params.findIndex(p => (p.type === 'AssignmentPattern' ? p.left : p).name === predicate.parameterName?.name);
+      if (entry && index !== -1) assertions[name] = { index, type: entry.returnType.type };
     }
   });
 
+  // Variables narrowed by assertion calls, as `{ type, call }` per block,
+  // innermost last. Function boundaries stop the lookup: a closure may run
+  // after the variable has been reassigned.
+  const narrowings = [];
+  function narrowing(name) {
+    for (let i = narrowings.length - 1; i >= 0; i--) {
+      if (narrowings[i].vars.has(name)) return narrowings[i].vars.get(name);
+      if (narrowings[i].fn) return null;
+    }
+    return null;
+  }
+
+  // Whether a value of type `source` may be used where `target` is expected.
+  // Only primitive and literal types are compared; anything else is assumed to fit.
+  function mayAssign(source, target) {
+    source = resolveRef(source);
+    target = resolveRef(target);
+    if (source?.kind === 'union') return source.types.every(member => mayAssign(member, target));
+    if (target?.kind === 'union') return target.types.some(member => mayAssign(source, member));
+    const comparable = target?.kind === 'literal' || PRIMITIVE_TYPES.has(target);
+    if (source?.kind === 'literal') return !comparable || matchesType(source.value, target);
+    if (PRIMITIVE_TYPES.has(source)) return !comparable || source === target;
+    return true;
+  }
+
   let currentFuncName = null;
+  let currentFunc = null;
+  const enclosingFunctions = [];
 
   walk(ast, {
-    enter(node) {
-      // Track current function
+    enter(node, parent) {
+      // Track current function; `const f = () => {}` takes the variable's name
       if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') {
-        currentFuncName = node.id?.name || null;
+        currentFuncName = node.id?.name || (parent?.type === 'VariableDeclarator' ? parent.id.name : null);
+        currentFunc = node;
+        enclosingFunctions.push({ name: currentFuncName, node });
+        // Parameters shadow narrowed variables of the same name
+        const params = node.params.map(p => p.type === 'AssignmentPattern' ? p.left : p).filter(p => p.type === 'Identifier');
+        narrowings.push({ fn: true, vars: new Map(params.map(p => [p.name, null])) });
+      }
+
+      if (node.type === 'Program' || node.type === 'BlockStatement') {
+        narrowings.push({ fn: false, vars: new Map() });
+      }
+
+      // Calls to assertion functions: a literal argument they reject always
+      // throws, and a variable argument is narrowed for the rest of the block
+      if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && assertions[node.callee.name]) {
+        const { index, type } = assertions[node.callee.name];
+        const arg = node.arguments[index];
+        if (arg?.type === 'Literal' || arg?.type === 'BigIntLiteral') {
+          const value = arg.value ?? (arg.bigint ? BigInt(arg.bigint) : null);
+          if (type ? !matchesType(value, type) : !value) {
+            report('TJS2006', `Assertion '${node.callee.name}' always fails: ${JSON.stringify(value)} is not ${type ? typeToString(type) : 'truthy'}`, arg);
+          }
+        } else if (arg?.type === 'Identifier' && type && parent?.type === 'ExpressionStatement') {
+          narrowings[narrowings.length - 1].vars.set(arg.name, { type, call: node });
+        }
+      }
+
+      // Reassignment ends a narrowing
+      const target = node.type === 'AssignmentExpression' ? node.left : node.type === 'UpdateExpression' ? node.argument : null;
+      if (target?.type === 'Identifier') {
+        for (let i = narrowings.length - 1; i >= 0; i--) {
+          if (!narrowings[i].vars.has(target.name)) continue;
+          if (narrowings[i].vars.get(target.name)) narrowings[i].vars.delete(target.name);
+          break;
+        }
+      }
+
+      // `expr satisfies T` is checked like an initializer of type T
+      if (node.type === 'TSSatisfiesExpression') {
+        const name = parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier' ? parent.id.name : 'value';
+        checkType(name, node.expression, tsTypeToString(node.typeAnnotation, typeRegistry), errors);
+      }
+
+      // Declarations shadow narrowed variables of the same name
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+        narrowings[narrowings.length - 1].vars.set(node.id.name, null);
       }
 
       // Check variable initializer
@@ -277,12 +399,22 @@ export function staticAnalyze(typeRegistry, ast) {
         if (node.init.type === 'Literal' || node.init.type === 'BigIntLiteral') {
           const value = node.init.value ?? (node.init.bigint ? BigInt(node.init.bigint) : null);
           if (!matchesType(value, declaredType)) {
-            errors.push(`[Static type error] Variable '${node.id.name}' initializer ${JSON.stringify(value)} does not match type ${typeToString(declaredType)}`);
+            report('TJS2003', `Variable '${node.id.name}' initializer ${JSON.stringify(value)} does not match type ${typeToString(declaredType)}`, node.init, [
+              { message: `'${node.id.name}' is declared here as ${typeToString(declaredType)}`, node: node.id.typeAnnotation }
+            ]);
           }
         } else if (node.init.type === 'ObjectExpression') {
           checkObject(node.id.name, node.init, declaredType, errors);
         } else if (node.init.type === 'ArrayExpression') {
           checkType(node.id.name, node.init, declaredType, errors);
+        } else if (node.init.type === 'Identifier' && narrowing(node.init.name)) {
+          const { type, call } = narrowing(node.init.name);
+          if (!mayAssign(type, declaredType)) {
+            report('TJS2003', `Variable '${node.id.name}' initializer '${node.init.name}' of type ${typeToString(type)} does not match type ${typeToString(declaredType)}`, node.init, [
+              { message: `'${node.id.name}' is declared here as ${typeToString(declaredType)}`, node: node.id.typeAnnotation },
+              { message: `'${node.init.name}' is narrowed to ${typeToString(type)} here`, node: call }
+            ]);
+          }
         }
       }
 
@@ -293,13 +425,27 @@ export function staticAnalyze(typeRegistry, ast) {
         if (node.argument.type === 'Literal' || node.argument.type === 'BigIntLiteral') {
           const value = node.argument.value ?? (node.argument.bigint ? BigInt(node.argument.bigint) : null);
           if (!matchesType(value, returnType)) {
-            errors.push(`[Static type error] Function '${currentFuncName}' returns ${JSON.stringify(value)} which doesn't match return type ${typeToString(returnType)}`);
+            report('TJS2004', `Function '${currentFuncName}' returns ${JSON.stringify(value)} which doesn't match return type ${typeToString(returnType)}`, node.argument, [
+              { message: 'Return type is declared here', node: currentFunc?.returnType }
+            ]);
+          }
+        }
+
+        if (node.argument.type === 'Identifier' && narrowing(node.argument.name)) {
+          const { type, call } = narrowing(node.argument.name);
+          if (!mayAssign(type, returnType)) {
+            report('TJS2004', `Function '${currentFuncName}' returns '${node.argument.name}' of type ${typeToString(type)} which doesn't match return type ${typeToString(returnType)}`, node.argument, [
+              { message: 'Return type is declared here', node: currentFunc?.returnType },
+              { message: `'${node.argument.name}' is narrowed to ${typeToString(type)} here`, node: call }
+            ]);
           }
         }
 
         // Void return type check
         if (returnType === 'void' && node.argument.type !== 'Identifier') {
-          errors.push(`[Static type error] Function '${currentFuncName}' has void return type but returns a value`);
+          report('TJS2005', `Function '${currentFuncName}' has void return type but returns a value`, node.argument, [
+            { message: 'Return type is declared here', node: currentFunc?.returnType }
+          ]);
         }
       }
 
@@ -311,74 +457,76 @@ export function staticAnalyze(typeRegistry, ast) {
       }
     },
     leave(node) {
+      if (node.type === 'Program' || node.type === 'BlockStatement') narrowings.pop();
       if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') {
-        currentFuncName = null;
+        narrowings.pop();
+        enclosingFunctions.pop();
+        const outer = enclosingFunctions[enclosingFunctions.length - 1];
+        currentFuncName = outer?.name ?? null;
+        currentFunc = outer?.node ?? null;
       }
     }
   });
 
-  // Helper for nice type strings in errors
-  function typeToString(t) {
-    if (!t) return 'unknown';
-    if (Array.isArray(t)) return t.map(typeToString).join(' | ');
-    if (typeof t === 'string') return t;
-
-    if (t.kind === 'literal') return JSON.stringify(t.value);
-    if (t.kind === 'union') return t.types.map(typeToString).join(' | ');
-    if (t.kind === 'intersection') return t.types.map(typeToString).join(' & ');
-    if (t.kind === 'array') return `Array<${typeToString(t.elementType)}>`;
-    if (t.kind === 'readonlyArray') return `ReadonlyArray<${typeToString(t.elementType)}>`;
-    if (t.kind === 'tuple') return `[${t.elements.map(e => {
-      if (e?.kind === 'optionalElement') return typeToString(e.type) + '?';
-      if (e?.kind === 'rest') return '...' + typeToString(e.type);
-      if (e?.kind === 'labeled') return `${e.label}: ${typeToString(e.type)}`;
-      return typeToString(e);
-    }).join(', ')}]`;
-    if (t.kind === 'map') return `Map<${typeToString(t.keyType)}, ${typeToString(t.valueType)}>`;
-    if (t.kind === 'set') return `Set<${typeToString(t.elementType)}>`;
-    if (t.kind === 'record') return `Record<${typeToString(t.keyType)}, ${typeToString(t.valueType)}>`;
-    if (t.kind === 'optional') return `${typeToString(t.type)}?`;
-    if (t.kind === 'enumRef') return t.name;
-    if (t.kind === 'function') {
-      const params = t.params?.map(p => `${p.name}: ${typeToString(p.type)}`).join(', ') || '';
-      return `(${params}) => ${typeToString(t.returnType)}`;
-    }
-    if (t.kind === 'conditional') {
-      return `${typeToString(t.checkType)} extends ${typeToString(t.extendsType)} ? ${typeToString(t.trueType)} : ${typeToString(t.falseType)}`;
-    }
-    if (t.kind === 'keyof') return `keyof ${typeToString(t.type)}`;
-    if (t.kind === 'typeof') return `typeof ${t.expression}`;
-    if (t.kind === 'mapped') return `{ [${t.keyName} in ${typeToString(t.keyConstraint)}]: ${typeToString(t.valueType)} }`;
-    if (t.kind === 'templateLiteral') {
-      let result = '`';
-      for (let i = 0; i < t.quasis.length; i++) {
-        result += t.quasis[i];
-        if (i < t.types.length) {
-          result += '${' + typeToString(t.types[i]) + '}';
-        }
-      }
-      return result + '`';
-    }
+  return errors;
+}
 
-    // Object shape
-    if (typeof t === 'object') {
-      const entries = Object.entries(t)
-        .filter(([k]) => !k.startsWith('__'))
-        .map(([k, v]) => `${k}: ${typeToString(v)}`);
-      return `{ ${entries.join(', ')} }`;
+/**
+ * Readable TypeScript-like rendering of a registry type, for messages and hovers.
+ */
+export function typeToString(t) {
+  if (!t) return 'unknown';
+  if (Array.isArray(t)) return t.map(typeToString).join(' | ');
+  if (typeof t === 'string') return t;
+
+  if (t.kind === 'literal') return JSON.stringify(t.value);
+  if (t.kind === 'union') return t.types.map(typeToString).join(' | ');
+  if (t.kind === 'intersection') return t.types.map(typeToString).join(' & ');
+  if (t.kind === 'array') return `Array<${typeToString(t.elementType)}>`;
+  if (t.kind === 'readonlyArray') return `ReadonlyArray<${typeToString(t.elementType)}>`;
+  if (t.kind === 'tuple') return `[${t.elements.map(e => {
+    if (e?.kind === 'optionalElement') return typeToString(e.type) + '?';
+    if (e?.kind === 'rest') return '...' + typeToString(e.type) + '[]';
+    if (e?.kind === 'labeled') return `${e.label}: ${typeToString(e.type)}`;
+    return typeToString(e);
+  }).join(', ')}]`;
+  if (t.kind === 'map') return `Map<${typeToString(t.keyType)}, ${typeToString(t.valueType)}>`;
+  if (t.kind === 'set') return `Set<${typeToString(t.elementType)}>`;
+  if (t.kind === 'record') return `Record<${typeToString(t.keyType)}, ${typeToString(t.valueType)}>`;
+  if (t.kind === 'optional') return `${typeToString(t.type)}?`;
+  if (t.kind === 'enumRef' || t.kind === 'instance') return t.name;
+  if (t.kind === 'ref') return t.typeArgs ? `${t.name}<${t.typeArgs.map(typeToString).join(', ')}>` : t.name;
+  if (t.kind === 'function') {
+    const params = t.params?.map(p => `${p.name}: ${typeToString(p.type)}`).join(', ') || '';
+    return `(${params}) => ${typeToString(t.returnType)}`;
+  }
+  if (t.kind === 'predicate') return `${t.asserts ? 'asserts ' : ''}${t.parameterName}${t.type ? ` is ${typeToString(t.type)}` : ''}`;
+  if (t.kind === 'conditional') {
+    return `${typeToString(t.checkType)} extends ${typeToString(t.extendsType)} ? ${typeToString(t.trueType)} : ${typeToString(t.falseType)}`;
+  }
+  if (t.kind === 'keyof') return `keyof ${typeToString(t.type)}`;
+  if (t.kind === 'typeof') return `typeof ${t.expression}`;
+  if (t.kind === 'mapped') return `{ [${t.keyName} in ${typeToString(t.keyConstraint)}]: ${typeToString(t.valueType)} }`;
+  if (t.kind === 'templateLiteral') {
+    let result = '`';
+    for (let i = 0; i < t.quasis.length; i++) {
+      result += t.quasis[i];
+      if (i < t.types.length) {
+        result += '${' + typeToString(t.types[i]) + '}';
+      }
     }
-
-    return String(t);
+    return result + '`';
   }
 
-  // Print static errors
-  if (errors.length > 0) {
-    console.log('\n--- Static Type Errors ---');
-    errors.forEach(err => console.log(err));
-    console.log('--- End Static Errors ---\n');
+  // Object shape
+  if (typeof t === 'object') {
+    const entries = Object.entries(t)
+      .filter(([k]) => !k.startsWith('__'))
+      .map(([k, v]) => `${k}: ${typeToString(v)}`);
+    return `{ ${entries.join(', ')} }`;
   }
 
-  return errors.length === 0;
+  return String(t);
 }
 
 export function analyze(typeRegistry) {
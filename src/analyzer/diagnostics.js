@@ -0,0 +1,69 @@
+// src/analyzer/diagnostics.js - Structured diagnostics shared by the analyzer, reporters and tools
+
+/**
+ * Stable diagnostic codes. Codes never change meaning once released;
+ * `name` is the readable rule id and `description` a one-line summary.
+ */
+export const DIAGNOSTIC_CODES = {
+  TJS1001: { name: 'syntax-error', description: 'File could not be parsed' },
+  TJS1002: { name: 'read-error', description: 'File could not be read' },
+  TJS2001: { name: 'value-mismatch', description: 'Literal value does not match its declared type' },
+  TJS2002: { name: 'missing-property', description: 'Object literal is missing a required property' },
+  TJS2003: { name: 'initializer-mismatch', description: 'Variable initializer does not match its declared type' },
+  TJS2004: { name: 'return-mismatch', description: 'Returned value does not match the declared return type' },
+  TJS2005: { name: 'void-return', description: 'Function with a void return type returns a value' },
+  TJS2006: { name: 'assertion-failure', description: 'Assertion function is called with a value it always rejects' }
+};
+
+/**
+ * Source range of an AST node with 1-based lines and columns.
+ * `end` points just past the node. Returns null for nodes without locations.
+ */
+export function rangeOf(node) {
+  if (!node?.loc) return null;
+  return {
+    start: { line: node.loc.start.line, column: node.loc.start.column + 1 },
+    end: { line: node.loc.end.line, column: node.loc.end.column + 1 }
+  };
+}
+
+/**
+ * Build a diagnostic for `node`. `related` entries are `{ message, node }`
+ * pairs pointing at other locations that explain the problem, such as the
+ * annotation a value was checked against.
+ *
+ * @returns {{ code: string, severity: string, message: string, file: string|null,
+ *   range: object|null, related: object[] }}
+ */
+export function createDiagnostic(code, message, node, { severity = 'error', file = null, related = [] } = {}) {
+  return {
+    code,
+    severity,
+    message,
+    file,
+    range: rangeOf(node),
+    related: related
+      .filter(r => r.node?.loc)
+      .map(r => ({ message: r.message, file, range: rangeOf(r.node) }))
+  };
+}
+
+/**
+ * Diagnostic for an error thrown while parsing. Acorn errors carry the
+ * 0-based column of the offending token in `loc`.
+ */
+export function syntaxDiagnostic(error, file = null) {
+  const position = error.loc ? { line: error.loc.line, column: error.loc.column + 1 } : null;
+  return {
+    code: 'TJS1001',
+    severity: 'error',
+    message: error.message,
+    file,
+    range: position ? { start: position, end: position } : null,
+    related: []
+  };
+}
+
+export function readDiagnostic(error, file = null) {
+  return { code: 'TJS1002', severity: 'error', message: error.message, file, range: null, related: [] };
+}
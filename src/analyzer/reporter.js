@@ -0,0 +1,136 @@
+// src/analyzer/reporter.js - Render structured diagnostics for terminals, CI and tools
+
+import fs from "fs";
+import path from "path";
+import { DIAGNOSTIC_CODES } from "./diagnostics.js";
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+function displayPath(file, cwd) {
+  return file ? toPosix(path.relative(cwd, file)) : '<input>';
+}
+
+function formatLocation(file, range, cwd) {
+  const where = displayPath(file, cwd);
+  return range ? `${where}:${range.start.line}:${range.start.column}` : where;
+}
+
+export function countErrors(results) {
+  return results.reduce((n, r) => n + r.diagnostics.filter(d => d.severity === 'error').length, 0);
+}
+
+/**
+ * One diagnostic as `file:line:column - severity CODE: message`, followed by
+ * an indented line for each related location.
+ */
+export function formatDiagnostic(d, cwd = process.cwd()) {
+  const lines = [`${formatLocation(d.file, d.range, cwd)} - ${d.severity} ${d.code}: ${d.message}`];
+  for (const r of d.related ?? []) {
+    lines.push(`    ${formatLocation(r.file, r.range, cwd)} - ${r.message}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Print static diagnostics for a program about to run.
+ */
+export function printDiagnostics(diagnostics, cwd = process.cwd()) {
+  if (diagnostics.length === 0) return;
+  console.log('\n--- Static Type Errors ---');
+  diagnostics.forEach(d => console.log(formatDiagnostic(d, cwd)));
+  console.log('--- End Static Errors ---\n');
+}
+
+function formatText(results, cwd) {
+  const lines = [];
+  for (const { file, diagnostics } of results) {
+    if (diagnostics.length === 0) continue;
+    lines.push(displayPath(file, cwd));
+    for (const d of diagnostics) {
+      const position = d.range ? `${d.range.start.line}:${d.range.start.column}  ` : '';
+      lines.push(`  ${position}${d.severity}  ${d.message}  ${d.code}`);
+    }
+    lines.push('');
+  }
+
+  const errorCount = countErrors(results);
+  const fileCount = results.filter(r => r.diagnostics.length > 0).length;
+  lines.push(errorCount === 0
+    ? `Checked ${results.length} file(s), no errors found.`
+    : `Found ${errorCount} error(s) in ${fileCount} of ${results.length} file(s).`);
+  return lines.join('\n');
+}
+
+function formatJson(results, cwd) {
+  const relativeFile = entry => ({ ...entry, file: entry.file && displayPath(entry.file, cwd) });
+  return JSON.stringify({
+    errorCount: countErrors(results),
+    files: results.map(({ file, diagnostics }) => ({
+      file: displayPath(file, cwd),
+      diagnostics: diagnostics.map(d => ({ ...relativeFile(d), related: d.related.map(relativeFile) }))
+    }))
+  }, null, 2);
+}
+
+function sarifLocation(file, range, cwd) {
+  const physicalLocation = { artifactLocation: { uri: displayPath(file, cwd) } };
+  if (range) {
+    physicalLocation.region = { startLine: range.start.line, startColumn: range.start.column };
+    if (range.end.line !== range.start.line || range.end.column !== range.start.column) {
+      physicalLocation.region.endLine = range.end.line;
+      physicalLocation.region.endColumn = range.end.column;
+    }
+  }
+  return { physicalLocation };
+}
+
+function formatSarif(results, cwd) {
+  const packageJson = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url)));
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'TypedJS',
+          version: packageJson.version,
+          informationUri: packageJson.homepage,
+          rules: Object.entries(DIAGNOSTIC_CODES).map(([id, rule]) => ({
+            id,
+            name: rule.name,
+            shortDescription: { text: rule.description }
+          }))
+        }
+      },
+      results: results.flatMap(({ file, diagnostics }) => diagnostics.map(d => {
+        const result = {
+          ruleId: d.code,
+          level: d.severity,
+          message: { text: d.message },
+          locations: [sarifLocation(d.file ?? file, d.range, cwd)]
+        };
+        if (d.related.length > 0) {
+          result.relatedLocations = d.related.map((r, id) => ({
+            id,
+            message: { text: r.message },
+            ...sarifLocation(r.file ?? file, r.range, cwd)
+          }));
+        }
+        return result;
+      }))
+    }]
+  }, null, 2);
+}
+
+/**
+ * Render per-file results (`{ file, diagnostics }[]`) as 'text', 'json' or 'sarif'.
+ */
+export function formatReport(results, format = 'text', cwd = process.cwd()) {
+  if (format === 'json') return formatJson(results, cwd);
+  if (format === 'sarif') return formatSarif(results, cwd);
+  if (format === 'text') return formatText(results, cwd);
+  throw new Error(`Unknown report format '${format}' (expected text, json or sarif)`);
+}
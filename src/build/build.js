@@ -0,0 +1,144 @@
+// src/build/build.js - Compile a tree of .tjs files into plain .js modules
+
+import fs from "fs";
+import path from "path";
+import { walk } from 'estree-walker';
+import { parseCode } from "../parser/parser.js";
+import { staticAnalyze } from "../analyzer/analyzer.js";
+import { syntaxDiagnostic } from "../analyzer/diagnostics.js";
+import { generate, inlineSourceMapComment } from "../generator/generator.js";
+
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+/**
+ * Rewrite relative `.tjs` module specifiers to `.js` so compiled output
+ * can import its siblings without the TypedJS CLI.
+ * Covers static imports, re-exports and dynamic import() with a literal source.
+ */
+export function rewriteImportSpecifiers(ast) {
+  walk(ast, {
+    enter(node) {
+      if (
+        node.type === 'ImportDeclaration' ||
+        node.type === 'ExportNamedDeclaration' ||
+        node.type === 'ExportAllDeclaration' ||
+        node.type === 'ImportExpression'
+      ) {
+        const source = node.source;
+        if (source?.type !== 'Literal' || typeof source.value !== 'string') return;
+        if (!/^\.{1,2}\//.test(source.value) || !source.value.endsWith('.tjs')) return;
+
+        source.value = source.value.replace(/\.tjs$/, '.js');
+        source.raw = JSON.stringify(source.value);
+      }
+    }
+  });
+  return ast;
+}
+
+/**
+ * Recursively collect .tjs files under a directory, skipping dependencies
+ * and the output directory itself.
+ */
+export function collectSourceFiles(dir, excludeDir = null) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (SKIPPED_DIRS.has(entry.name) || fullPath === excludeDir) continue;
+      files.push(...collectSourceFiles(fullPath, excludeDir));
+    } else if (entry.isFile() && entry.name.endsWith('.tjs')) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Compile a single .tjs source string into JavaScript suitable for writing to disk.
+ * Returns `ok: false` along with the `diagnostics` when static analysis reports
+ * errors. `sourceFile` is the path recorded in the source map, relative to
+ * where the output is written; `file` is recorded on diagnostics.
+ * `checkedCasts` checks `expr as T` casts at runtime; `enforceReadonly`
+ * reports writes to readonly properties and arrays outside production.
+ */
+export function compileForBuild(source, mode = 'development', sourceFile = 'input.tjs', file = null, { checkedCasts = false, enforceReadonly = false } = {}) {
+  const { ast, typeRegistry } = parseCode(source);
+  const diagnostics = staticAnalyze(typeRegistry, ast, { file });
+  rewriteImportSpecifiers(ast);
+  const { code, map } = generate(ast, typeRegistry, mode, { sourceMap: true, sourceFile, sourceContent: source, checkedCasts, enforceReadonly });
+  return { code, map, ok: diagnostics.length === 0, diagnostics };
+}
+
+// Deepest directory containing every file, so output does not repeat a shared prefix
+function commonDirectory(files, fallback) {
+  if (files.length === 0) return fallback;
+  let dir = path.dirname(files[0]);
+  while (!files.every(f => f.startsWith(dir + path.sep)) && path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+  }
+  return dir;
+}
+
+/**
+ * Build a .tjs file or directory into `outDir`, mirroring the directory layout.
+ * Files that fail to parse are reported and not written; so are files that
+ * fail static analysis unless `staticErrors` is 'warn'. Each result carries
+ * the file's `diagnostics`.
+ * `sourceMaps` may be 'inline' (data URL comment) or 'file' (sibling .js.map).
+ * `files` replaces the directory walk with an explicit list, mirrored from
+ * their common directory, and `modeForFile` picks the mode per file.
+ * `checkedCasts` and `enforceReadonly` are passed on to compileForBuild.
+ */
+export function buildProject(srcPath, {
+  outDir = 'dist',
+  mode = 'development',
+  sourceMaps = false,
+  checkedCasts = false,
+  enforceReadonly = false,
+  files = null,
+  modeForFile = () => mode,
+  staticErrors = 'error'
+} = {}) {
+  const root = path.resolve(srcPath);
+  const outRoot = path.resolve(outDir);
+  const isDirectory = fs.statSync(root).isDirectory();
+  const sources = files ?? (isDirectory ? collectSourceFiles(root, outRoot) : [root]);
+  const baseDir = files ? commonDirectory(files, root) : (isDirectory ? root : path.dirname(root));
+
+  const results = [];
+
+  for (const file of sources) {
+    const relative = path.relative(baseDir, file);
+    const output = path.join(outRoot, relative.replace(/\.tjs$/, '.js'));
+
+    try {
+      const sourceFile = path.relative(path.dirname(output), file).split(path.sep).join('/');
+      const { code, map, ok, diagnostics } = compileForBuild(fs.readFileSync(file, 'utf-8'), modeForFile(file), sourceFile, file, { checkedCasts, enforceReadonly });
+      if (!ok && staticErrors === 'error') {
+        results.push({ file, output: null, ok: false, error: 'static type errors', diagnostics });
+        continue;
+      }
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+
+      if (sourceMaps === 'inline') {
+        fs.writeFileSync(output, `${code}\n${inlineSourceMapComment(map)}\n`);
+      } else if (sourceMaps === 'file') {
+        map.file = path.basename(output);
+        fs.writeFileSync(`${output}.map`, JSON.stringify(map));
+        fs.writeFileSync(output, `${code}\n//# sourceMappingURL=${path.basename(output)}.map\n`);
+      } else {
+        fs.writeFileSync(output, code);
+      }
+      results.push({ file, output, ok: true, diagnostics });
+    } catch (e) {
+      const diagnostics = e instanceof SyntaxError ? [syntaxDiagnostic(e, file)] : [];
+      results.push({ file, output: null, ok: false, error: e.message, diagnostics });
+    }
+  }
+
+  return {
+    results,
+    failed: results.filter(r => !r.ok)
+  };
+}
@@ -0,0 +1,48 @@
+// src/check/check.js - Static analysis without executing the program
+
+import fs from "fs";
+import { parseCode } from "../parser/parser.js";
+import { staticAnalyze } from "../analyzer/analyzer.js";
+import { syntaxDiagnostic, readDiagnostic } from "../analyzer/diagnostics.js";
+
+export { countErrors, formatReport } from "../analyzer/reporter.js";
+
+/**
+ * Static type errors for an already-parsed module. `staticSeverity` sets
+ * the severity reported for type errors ('error' or 'warning').
+ */
+export function staticDiagnostics(typeRegistry, ast, { staticSeverity = 'error', file = null } = {}) {
+  return staticAnalyze(typeRegistry, ast, { file }).map(d => ({ ...d, severity: staticSeverity }));
+}
+
+/**
+ * Parse and statically analyze source text. Syntax errors are reported as
+ * diagnostics rather than thrown.
+ */
+export function checkSource(source, { staticSeverity = 'error', file = null } = {}) {
+  try {
+    const { ast, typeRegistry } = parseCode(source);
+    return staticDiagnostics(typeRegistry, ast, { staticSeverity, file });
+  } catch (e) {
+    return [syntaxDiagnostic(e, file)];
+  }
+}
+
+/**
+ * Parse and statically analyze a single file. The file is never imported,
+ * so top-level side effects do not run.
+ */
+export function checkFile(file, options = {}) {
+  let source;
+  try {
+    source = fs.readFileSync(file, "utf-8");
+  } catch (e) {
+    return { file, diagnostics: [readDiagnostic(e, file)] };
+  }
+
+  return { file, diagnostics: checkSource(source, { ...options, file }) };
+}
+
+export function checkFiles(files, options = {}) {
+  return files.map(file => checkFile(file, options));
+}
@@ -1,12 +1,33 @@
 #!/usr/bin/env node
 import fs from "fs";
 import path from "path";
+import { register } from "module";
+import { pathToFileURL } from "url";
 import { parseCode } from "./parser/parser.js";
-import { staticAnalyze, analyze } from "./analyzer/analyzer.js"; // Add staticAnalyze
-import { generate } from "./generator/generator.js";
+import { staticAnalyze, analyze } from "./analyzer/analyzer.js";
+import { generate, inlineSourceMapComment } from "./generator/generator.js";
+import { buildProject } from "./build/build.js";
+import { startWatch } from "./watch/watch.js";
+import { checkFiles } from "./check/check.js";
+import { countErrors, formatReport, formatDiagnostic, printDiagnostics } from "./analyzer/reporter.js";
+import { expandPatterns } from "./utils/glob.js";
+import { startLanguageServer } from "./lsp/server.js";
+import { loadConfig, modeForFile, configuredSourceFiles, blocksOnStaticErrors } from "./config/config.js";
 
 const args = process.argv.slice(2);
 
+const VALUE_FLAGS = new Set(['--out-dir', '--source-maps', '--format', '--config', '--mode']);
+
+function getFlagValue(name) {
+  const idx = args.indexOf(name);
+  return idx !== -1 ? args[idx + 1] : undefined;
+}
+
+// Arguments that are neither flags nor the values of flags
+function positionals(list) {
+  return list.filter((a, i) => !a.startsWith('-') && !VALUE_FLAGS.has(list[i - 1]));
+}
+
 if (args.includes('-v') || args.includes('--version')) {
   const packageJson = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url)));
   console.log(`v${packageJson.version}`);
@@ -16,65 +37,198 @@ if (args.includes('-v') || args.includes('--version')) {
 if (args.includes('-h') || args.includes('--help')) {
   console.log(`
 Usage: typedjs <file.tjs> [options]
+       typedjs build [src] [--out-dir dist] [options]
+       typedjs check [files/globs...] [--format text|json|sarif]
+       typedjs lsp
+
+Commands:
+  build [src]       Compile a .tjs file or directory to .js files
+                    (default: the config's include/exclude globs)
+  check [files...]  Run static analysis only; never executes the files
+                    (default: the config's include/exclude globs)
+  lsp               Start the language server on stdio for editors
 
 Options:
   -v, --version      Show version number
   -h, --help        Show this help message
   --prod            Enable production mode (errors instead of warnings)
   --strict          Treat runtime type mismatches as errors (even in dev)
-  --keep-temp       Keep generated typedjs_temp.js
+  --mode <name>     Run every file in development, production or strict mode
+  --keep-temp       Also write the generated code to <file>.typedjs_temp.js
+  --out-dir <dir>   Output directory for build (default: dist)
+  --source-maps <inline|file>  Emit source maps from build
+  --checked-casts   Check 'as' type casts at runtime
+  --enforce-readonly  Report writes to readonly properties and arrays at runtime
+  --watch           Re-run on changes to the file or any .tjs module it imports
+  --format <name>   Report format for check: text, json or sarif (default: text)
+  --config <file>   Use this typedjs.config.json instead of searching for one
   --bench-meta      Internal flag for benchmarking
 `);
   process.exit(0);
 }
 
-const isProd = args.includes('--prod');
-const isStrict = args.includes('--strict');
-const keepTemp = args.includes('--keep-temp') || process.env.TYPEDJS_KEEP_TEMP === "1";
-const fileArg = args.find(a => !a.startsWith('--') && !a.startsWith('-'));
-
-if (!fileArg) {
-  console.error("Usage: typedjs <file.tjs> [--prod]");
-  process.exit(1);
+if (args[0] === 'lsp') {
+  // Runs until the client sends exit; stdout is reserved for the protocol
+  startLanguageServer();
+} else {
+  await main();
 }
 
-const isBench = args.includes('--bench-meta');
+async function main() {
+  const isProd = args.includes('--prod');
+  const isStrict = args.includes('--strict');
+  const keepTemp = args.includes('--keep-temp') || process.env.TYPEDJS_KEEP_TEMP === "1";
+  const flagCheckedCasts = args.includes('--checked-casts');
+  const flagEnforceReadonly = args.includes('--enforce-readonly');
+  // Flags override the configuration; without one, each file gets its configured mode
+  const flagMode = getFlagValue('--mode') || (isStrict ? 'strict' : (isProd ? 'production' : null));
+  if (flagMode && !['development', 'production', 'strict'].includes(flagMode)) {
+    console.error("--mode must be 'development', 'production' or 'strict'");
+    process.exit(1);
+  }
 
-let compileStart = performance.now();
+  let config;
+  try {
+    config = loadConfig(process.cwd(), getFlagValue('--config'));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
 
-const filePath = path.resolve(fileArg);
-const source = fs.readFileSync(filePath, "utf-8");
+  const fileMode = file => flagMode ?? modeForFile(config, file);
+  const checkedCasts = flagCheckedCasts || config.checkedCasts;
+  const enforceReadonly = flagEnforceReadonly || config.enforceReadonly;
 
-const { ast, typeRegistry } = parseCode(source);
+  if (args[0] === 'build') {
+    const srcArg = positionals(args.slice(1))[0] ?? null;
 
-// Static analysis (Always run it, but in prod it's CRITICAL)
-const staticErrors = staticAnalyze(typeRegistry, ast);
-if (!staticErrors && isProd) { // staticAnalyze returns false if errors found (wait, logic check)
-  // staticAnalyze returns boolean? Let's check. 
-  // It returns `errors.length === 0`. So true means OK.
-  console.error("Build failed due to static type errors.");
-  process.exit(1);
-}
+    const outDir = getFlagValue('--out-dir') || path.resolve(config.rootDir, config.outDir);
+    const sourceMaps = getFlagValue('--source-maps') || config.sourceMaps;
+    if (sourceMaps && sourceMaps !== 'inline' && sourceMaps !== 'file') {
+      console.error("--source-maps must be 'inline' or 'file'");
+      process.exit(1);
+    }
 
-// Old minimal analyze (deprecated but keeping for now)
-analyze(typeRegistry);
+    const buildOptions = {
+      outDir,
+      sourceMaps,
+      checkedCasts,
+      enforceReadonly,
+      modeForFile: fileMode,
+      staticErrors: blocksOnStaticErrors(config, flagMode, { building: true }) ? 'error' : 'warn'
+    };
+    const { results, failed } = srcArg
+      ? buildProject(srcArg, buildOptions)
+      : buildProject(config.rootDir, { ...buildOptions, files: configuredSourceFiles(config) });
+
+    for (const result of results) {
+      result.diagnostics?.forEach(d => console.error(formatDiagnostic(d)));
+    }
+    for (const result of failed) {
+      console.error(`Failed: ${path.relative(process.cwd(), result.file)} (${result.error})`);
+    }
+    console.log(`Compiled ${results.length - failed.length}/${results.length} file(s) to ${path.relative(process.cwd(), outDir) || '.'}`);
+    process.exit(failed.length > 0 ? 1 : 0);
+  }
 
-const runtimeMode = isStrict ? 'strict' : (isProd ? 'production' : 'development');
-const output = generate(ast, typeRegistry, runtimeMode);
-const compileTime = performance.now() - compileStart;
+  if (args[0] === 'check') {
+    const format = getFlagValue('--format') || config.reporting.format;
+    const patterns = positionals(args.slice(1));
+
+    const files = patterns.length > 0 ? expandPatterns(patterns) : configuredSourceFiles(config);
+    if (files.length === 0) {
+      console.error(`No .tjs files matched: ${patterns.length > 0 ? patterns.join(' ') : config.include.join(' ')}`);
+      process.exit(1);
+    }
+
+    const staticSeverity = config.reporting.staticErrors === 'warn' ? 'warning' : 'error';
+    const results = checkFiles(files, { staticSeverity });
+    try {
+      console.log(formatReport(results, format));
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+    process.exit(countErrors(results) > 0 ? 1 : 0);
+  }
 
-const tmpFile = path.resolve("./typedjs_temp.js");
-fs.writeFileSync(tmpFile, output);
+  const fileArg = positionals(args)[0];
 
-let execStart = performance.now();
-try {
-  await import(tmpFile);
-} finally {
-  if (isBench) {
-    const execTime = performance.now() - execStart;
-    console.log(`__BENCH__${JSON.stringify({ compileTime, execTime })}`);
+  if (!fileArg) {
+    console.error("Usage: typedjs <file.tjs> [--prod]");
+    process.exit(1);
   }
-  if (!keepTemp) {
-    fs.unlinkSync(tmpFile);
+
+  const isBench = args.includes('--bench-meta');
+
+  if (args.includes('--watch')) {
+    startWatch(fileArg, { mode: flagMode, config, checkedCasts: flagCheckedCasts, enforceReadonly: flagEnforceReadonly });
+  } else {
+    await runFile(fileArg);
+  }
+
+  async function runFile(fileArg) {
+    let compileStart = performance.now();
+
+    const filePath = path.resolve(fileArg);
+    const source = fs.readFileSync(filePath, "utf-8");
+    const runtimeMode = fileMode(filePath);
+
+    const { ast, typeRegistry } = parseCode(source);
+
+    // Static analysis (Always run it, but in prod it's CRITICAL)
+    const diagnostics = staticAnalyze(typeRegistry, ast, { file: filePath });
+    printDiagnostics(diagnostics);
+    if (diagnostics.length > 0 && blocksOnStaticErrors(config, runtimeMode)) {
+      console.error("Build failed due to static type errors.");
+      process.exit(1);
+    }
+
+    // Old minimal analyze (deprecated but keeping for now)
+    analyze(typeRegistry);
+
+    const { code, map } = generate(ast, typeRegistry, runtimeMode, {
+      sourceMap: true,
+      sourceFile: pathToFileURL(filePath).href,
+      sourceContent: source,
+      checkedCasts,
+      enforceReadonly
+    });
+    const compileTime = performance.now() - compileStart;
+
+    // Report stack traces and runtime warnings against the original .tjs positions
+    process.setSourceMapsEnabled(true);
+
+    const entryUrl = pathToFileURL(filePath).href;
+    const entrySource = `${code}\n${inlineSourceMapComment(map)}\n`;
+
+    if (keepTemp) {
+      // For inspection only; the program itself runs from memory
+      const tmpFile = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.typedjs_temp.js`);
+      fs.writeFileSync(tmpFile, entrySource);
+    }
+
+    // The hooks serve the compiled entry from memory under its own URL, so
+    // import.meta.url and relative imports behave as if the .tjs file ran,
+    // and compile any .tjs modules it imports on demand
+    register('./loader/hooks.js', import.meta.url, {
+      data: {
+        mode: flagMode,
+        checkedCasts: flagCheckedCasts,
+        enforceReadonly: flagEnforceReadonly,
+        configPath: config.configPath,
+        entry: { url: entryUrl, source: entrySource }
+      }
+    });
+
+    let execStart = performance.now();
+    try {
+      await import(entryUrl);
+    } finally {
+      if (isBench) {
+        const execTime = performance.now() - execStart;
+        console.log(`__BENCH__${JSON.stringify({ compileTime, execTime })}`);
+      }
+    }
   }
 }
@@ -0,0 +1,212 @@
+// src/config/config.js - Project configuration (typedjs.config.json / package.json "typedjs")
+
+import fs from "fs";
+import path from "path";
+import { matchesGlob, expandPatterns } from "../utils/glob.js";
+
+export const CONFIG_FILE = 'typedjs.config.json';
+
+const MODES = ['development', 'production', 'strict'];
+const REPORT_FORMATS = ['text', 'json', 'sarif'];
+const STATIC_ERROR_LEVELS = ['error', 'warn'];
+
+export const DEFAULT_CONFIG = {
+  mode: 'development',
+  include: ['**/*.tjs'],
+  exclude: ['node_modules/**'],
+  outDir: 'dist',
+  sourceMaps: false,
+  checkedCasts: false,
+  enforceReadonly: false,
+  overrides: [],
+  reporting: {
+    format: 'text',
+    staticErrors: null // null: block in production only when running, always when building
+  }
+};
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+const oneOf = values => values.map(v => `'${v}'`).join(', ');
+
+/**
+ * Validate raw config values, returning a list of human-readable problems.
+ */
+export function validateConfig(raw) {
+  const problems = [];
+
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return ['Configuration must be a JSON object'];
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    switch (key) {
+      case 'mode':
+        if (!MODES.includes(value)) problems.push(`'mode' must be one of ${oneOf(MODES)}, got ${JSON.stringify(value)}`);
+        break;
+      case 'include':
+      case 'exclude':
+        if (!isStringArray(value)) problems.push(`'${key}' must be an array of glob strings`);
+        break;
+      case 'outDir':
+        if (typeof value !== 'string' || value === '') problems.push(`'outDir' must be a non-empty string`);
+        break;
+      case 'sourceMaps':
+        if (value !== false && value !== 'inline' && value !== 'file') problems.push(`'sourceMaps' must be false, 'inline' or 'file'`);
+        break;
+      case 'checkedCasts':
+      case 'enforceReadonly':
+        if (typeof value !== 'boolean') problems.push(`'${key}' must be true or false`);
+        break;
+      case 'overrides':
+        if (!Array.isArray(value)) {
+          problems.push(`'overrides' must be an array of { files, mode } objects`);
+          break;
+        }
+        value.forEach((override, i) => {
+          if (typeof override !== 'object' || override === null) {
+            problems.push(`'overrides[${i}]' must be an object`);
+            return;
+          }
+          for (const overrideKey of Object.keys(override)) {
+            if (overrideKey !== 'files' && overrideKey !== 'mode') problems.push(`Unknown option 'overrides[${i}].${overrideKey}'`);
+          }
+          if (typeof override.files !== 'string' && !isStringArray(override.files)) {
+            problems.push(`'overrides[${i}].files' must be a glob string or an array of glob strings`);
+          }
+          if (!MODES.includes(override.mode)) {
+            problems.push(`'overrides[${i}].mode' must be one of ${oneOf(MODES)}, got ${JSON.stringify(override.mode)}`);
+          }
+        });
+        break;
+      case 'reporting':
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+          problems.push(`'reporting' must be an object`);
+          break;
+        }
+        for (const [reportKey, reportValue] of Object.entries(value)) {
+          if (reportKey === 'format') {
+            if (!REPORT_FORMATS.includes(reportValue)) problems.push(`'reporting.format' must be one of ${oneOf(REPORT_FORMATS)}`);
+          } else if (reportKey === 'staticErrors') {
+            if (!STATIC_ERROR_LEVELS.includes(reportValue)) problems.push(`'reporting.staticErrors' must be one of ${oneOf(STATIC_ERROR_LEVELS)}`);
+          } else {
+            problems.push(`Unknown option 'reporting.${reportKey}'`);
+          }
+        }
+        break;
+      default:
+        problems.push(`Unknown option '${key}'`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Merge validated raw values over the defaults. Throws listing every problem
+ * when the configuration is invalid.
+ */
+export function resolveConfig(raw = {}, { rootDir = process.cwd(), configPath = null } = {}) {
+  const problems = validateConfig(raw);
+  if (problems.length > 0) {
+    let where = '';
+    if (configPath) {
+      where = path.basename(configPath) === 'package.json' ? ` in ${configPath} ("typedjs" key)` : ` in ${configPath}`;
+    }
+    throw new Error(`Invalid TypedJS configuration${where}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  }
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...raw,
+    reporting: { ...DEFAULT_CONFIG.reporting, ...raw.reporting },
+    rootDir,
+    configPath
+  };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not read TypedJS configuration ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Load a typedjs.config.json, or the `typedjs` key of a package.json.
+ */
+export function loadConfigFile(file) {
+  const configPath = path.resolve(file);
+  const json = readJson(configPath);
+  const raw = path.basename(configPath) === 'package.json' ? (json.typedjs ?? {}) : json;
+  return resolveConfig(raw, { rootDir: path.dirname(configPath), configPath });
+}
+
+/**
+ * Find and load the nearest configuration, searching upward from `startDir`.
+ * `typedjs.config.json` takes precedence over a package.json `typedjs` key in
+ * the same directory. `configPath` loads a specific file instead.
+ * Returns the defaults (rooted at `startDir`) when nothing is found.
+ */
+export function loadConfig(startDir = process.cwd(), configPath = null) {
+  if (configPath) return loadConfigFile(path.resolve(startDir, configPath));
+
+  let dir = path.resolve(startDir);
+  while (true) {
+    const configFile = path.join(dir, CONFIG_FILE);
+    if (fs.existsSync(configFile)) return loadConfigFile(configFile);
+
+    const packageFile = path.join(dir, 'package.json');
+    if (fs.existsSync(packageFile) && readJson(packageFile).typedjs !== undefined) {
+      return loadConfigFile(packageFile);
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  return resolveConfig({}, { rootDir: path.resolve(startDir) });
+}
+
+function relativeToRoot(config, file) {
+  return path.relative(config.rootDir, path.resolve(file));
+}
+
+/**
+ * Runtime mode for a file: the last matching override wins, else `config.mode`.
+ */
+export function modeForFile(config, file) {
+  const relative = relativeToRoot(config, file);
+  let mode = config.mode;
+  for (const override of config.overrides) {
+    const patterns = Array.isArray(override.files) ? override.files : [override.files];
+    if (patterns.some(p => matchesGlob(relative, p))) mode = override.mode;
+  }
+  return mode;
+}
+
+export function isExcluded(config, file) {
+  const relative = relativeToRoot(config, file);
+  return config.exclude.some(p => matchesGlob(relative, p));
+}
+
+/**
+ * The .tjs files selected by `include`, minus anything matching `exclude`.
+ */
+export function configuredSourceFiles(config) {
+  return expandPatterns(config.include, config.rootDir).filter(file => !isExcluded(config, file));
+}
+
+/**
+ * Whether static errors should stop a file from running or being written.
+ * Without an explicit `reporting.staticErrors`, running only blocks in
+ * production mode while building always blocks.
+ */
+export function blocksOnStaticErrors(config, mode, { building = false } = {}) {
+  if (config.reporting.staticErrors) return config.reporting.staticErrors === 'error';
+  return building || mode === 'production';
+}
@@ -81,13 +81,26 @@ export function compileCheck(varName, type, mode = 'development', path = '') {
     return `if (typeof ${varName} !== 'object' || ${varName} === null || Array.isArray(${varName})) { __handleCheckError__(${pathStr}, "object", __valueStr__(${varName})); } else { for (const ${loopVar} in ${varName}) { ${valueCheck} } }`;
   }
 
+  // Function types and methods must be callable; their calls are checked by
+  // the __wrapContract__ wrappers the generator puts around them
+  if (type.kind === 'function' || type.kind === 'method' || type.kind === 'constructor') {
+    const check = `if (typeof ${varName} !== 'function') __handleCheckError__(${pathStr}, ${JSON.stringify(typeToString(type))}, __valueStr__(${varName}));`;
+    return type.optional ? `if (${varName} !== undefined) { ${check} }` : check;
+  }
+
   // Enum
   if (type.kind === 'enumRef') {
     const values = JSON.stringify(Object.values(type.values || {}));
     return `if (!${values}.includes(${varName})) { __handleCheckError__(${pathStr}, "${type.name}", __valueStr__(${varName})); }`;
   }
 
-  // Fallback to runtime matcher for complex/erased types
+  // Class instances and built-in objects (Date, RegExp, ...)
+  if (type.kind === 'instance') {
+    return `if (!__isInstance__(${varName}, ${JSON.stringify(type.name)})) { __handleCheckError__(${pathStr}, ${JSON.stringify(type.name)}, __valueStr__(${varName})); }`;
+  }
+
+  // Fallback to runtime matcher for complex/erased types, and for refs to
+  // recursive types, which are checked through the runtime type table
   return `if (!__matchesType__(${varName}, ${JSON.stringify(type)})) { __handleCheckError__(${pathStr}, ${JSON.stringify(typeToString(type))}, __valueStr__(${varName})); }`;
 }
 
@@ -161,7 +174,7 @@ function isObjectShape(type) {
 }
 
 // Helper to stringify types for error messages (compile time)
-function typeToString(type) {
+export function typeToString(type) {
   if (!type) return 'unknown';
   if (typeof type === 'string') return type;
   if (type.kind === 'union') return type.types.map(typeToString).join(' | ');
@@ -169,6 +182,12 @@ function typeToString(type) {
   if (type.kind === 'array') return `${typeToString(type.elementType)}[]`;
   if (type.kind === 'readonlyArray') return `ReadonlyArray<${typeToString(type.elementType)}>`;
   if (type.kind === 'literal') return JSON.stringify(type.value);
-  if (type.kind === 'enumRef') return type.name;
+  if (type.kind === 'enumRef' || type.kind === 'instance') return type.name;
+  if (type.kind === 'promise') return `Promise<${typeToString(type.resolveType)}>`;
+  if (type.kind === 'function' || type.kind === 'method') {
+    return `(${(type.params || []).map(p => `${p.name}: ${typeToString(p.type)}`).join(', ')}) => ${typeToString(type.returnType)}`;
+  }
+  if (type.kind === 'predicate') return `${type.asserts ? 'asserts ' : ''}${type.parameterName}${type.type ? ` is ${typeToString(type.type)}` : ''}`;
+  if (type.kind === 'ref') return type.typeArgs ? `${type.name}<${type.typeArgs.map(typeToString).join(', ')}>` : type.name;
   return type.kind || 'unknown';
 }
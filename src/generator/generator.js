@@ -3,21 +3,929 @@
 import { Parser } from 'acorn';
 import escodegen from 'escodegen';
 import { walk } from 'estree-walker';
-import { compileCheck } from './compiler.js';
+import { compileCheck, typeToString } from './compiler.js';
+import { tsTypeToString, patternName } from '../parser/parser.js';
+import { typeRefKey, resolveTypeRef } from '../parser/generics.js';
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+// Annotations of generator functions whose type arguments are <Yield, Return, Next>,
+// and those that only give the yielded type
+const GENERATOR_TYPES = new Set(['Generator', 'AsyncGenerator', 'Iterator', 'AsyncIterator']);
+const ITERABLE_TYPES = new Set(['Iterable', 'AsyncIterable', 'IterableIterator', 'AsyncIterableIterator']);
+const TYPE_ONLY_DECLARATIONS = new Set(['TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSDeclareFunction']);
+const TYPE_ASSERTIONS = new Set(['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression']);
+
+// Bounds the instantiations of recursive generics whose arguments keep growing
+// (`type Nest<T> = { inner: Nest<T[]> }`); refs past it are not checked
+const MAX_TYPE_TABLE_SIZE = 200;
+
+const IDENTIFIER_RE = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/;
+
+const BINDING_TYPES = new Set(['Identifier', 'ObjectPattern', 'ArrayPattern']);
+
+function isTypeOnlyDeclaration(node) {
+  return TYPE_ONLY_DECLARATIONS.has(node?.type) || !!node?.declare;
+}
+
+/**
+ * Remove module-level syntax that only exists at compile time:
+ * type declarations (exported or not), `import type`, `export type`,
+ * and re-exports of interface/type alias names. Exported enums become
+ * `export { Name }` since the enum object itself is emitted by generate().
+ */
+function eraseTypeOnlyModuleSyntax(body, typeRegistry) {
+  const typeNames = new Set(typeRegistry
+    .filter(e => e.kind === 'interface' || e.kind === 'typeAlias')
+    .map(e => e.name));
+
+  return body.flatMap(node => {
+    if (isTypeOnlyDeclaration(node) || node.type === 'TSEnumDeclaration') return [];
+
+    if (node.type === 'ImportDeclaration') {
+      if (node.importKind === 'type') return [];
+      if (node.specifiers.length > 0) {
+        node.specifiers = node.specifiers.filter(s => s.importKind !== 'type');
+        if (node.specifiers.length === 0) return [];
+      }
+      return [node];
+    }
+
+    if (node.type === 'ExportNamedDeclaration') {
+      if (node.exportKind === 'type' && !node.declaration) return [];
+      if (isTypeOnlyDeclaration(node.declaration)) return [];
+      if (node.declaration?.type === 'TSEnumDeclaration') {
+        const enumName = node.declaration.id.name;
+        node.declaration = null;
+        node.specifiers = [{
+          type: 'ExportSpecifier',
+          local: { type: 'Identifier', name: enumName },
+          exported: { type: 'Identifier', name: enumName }
+        }];
+      }
+      if (!node.declaration && !node.source) {
+        node.specifiers = node.specifiers.filter(s => s.exportKind !== 'type' && !typeNames.has(s.local.name));
+        if (node.specifiers.length === 0) return [];
+      }
+      return [node];
+    }
+
+    if (node.type === 'ExportDefaultDeclaration' && isTypeOnlyDeclaration(node.declaration)) return [];
+
+    return [node];
+  });
+}
+
+/**
+ * Drop import specifiers that are no longer referenced once type annotations
+ * are gone, mirroring TypeScript's import elision. Side-effect imports stay.
+ */
+function elideUnusedImports(ast) {
+  const referenced = new Set();
+  walk(ast, {
+    enter(node, parent) {
+      if (node.type === 'ImportDeclaration') return this.skip();
+      if (node.type === 'Identifier' && parent) referenced.add(node.name);
+    }
+  });
+
+  ast.body = ast.body.filter(node => {
+    if (node.type !== 'ImportDeclaration' || node.specifiers.length === 0) return true;
+    node.specifiers = node.specifiers.filter(s => referenced.has(s.local.name));
+    return node.specifiers.length > 0;
+  });
+}
+
+/**
+ * Give generated nodes the source location of the code they were derived from,
+ * so source maps point injected checks at the original .tjs position.
+ */
+function withLoc(nodes, loc) {
+  if (!loc) return nodes;
+  nodes.forEach(root => walk(root, {
+    enter(node) {
+      if (!node.loc) node.loc = loc;
+    }
+  }));
+  return nodes;
+}
+
+function paramSignature(param, typeRegistry) {
+  if (param.type === 'TSParameterProperty') return paramSignature(param.parameter, typeRegistry);
+  if (param.type === 'RestElement' && param.argument.type === 'Identifier') {
+    const annotation = param.typeAnnotation ?? param.argument.typeAnnotation;
+    return annotation ? { name: param.argument.name, type: tsTypeToString(annotation.typeAnnotation, typeRegistry) } : null;
+  }
+  // Defaulted parameters are checked once the default is applied
+  const binding = param.type === 'AssignmentPattern' ? param.left : param;
+  if (BINDING_TYPES.has(binding.type) && binding.typeAnnotation) {
+    const type = tsTypeToString(binding.typeAnnotation.typeAnnotation, typeRegistry);
+    return {
+      name: patternName(binding),
+      type: binding.optional ? { kind: 'optional', type } : type,
+      pattern: binding.type !== 'Identifier'
+    };
+  }
+  return null;
+}
+
+function isReference(node, parent, prop) {
+  if (node.type !== 'Identifier') return false;
+  if (prop === 'key' && !parent.computed) return false;
+  return !(prop === 'property' && parent.type === 'MemberExpression' && !parent.computed);
+}
+
+/**
+ * Point references to renamed parameters, e.g. in later parameters' defaults
+ * (`b = a * 2`), at their new names.
+ */
+function renameReferences(nodes, renames) {
+  nodes.forEach(root => walk(root, {
+    enter(node, parent, prop) {
+      if (!isReference(node, parent, prop) || !renames.has(node.name)) return;
+      if (parent?.type === 'Property' && parent.shorthand) parent.shorthand = false;
+      this.replace({ type: 'Identifier', name: renames.get(node.name), loc: node.loc });
+    }
+  }));
+}
+
+// Whether any of `nodes` refers to a name bound by the pattern `pattern`
+function refersToBindings(nodes, pattern) {
+  const names = new Set();
+  let found = false;
+  walk(pattern, {
+    enter(node, parent, prop) {
+      if (isReference(node, parent, prop) && prop !== 'right') names.add(node.name);
+    }
+  });
+  nodes.forEach(root => walk(root, {
+    enter(node, parent, prop) {
+      if (isReference(node, parent, prop) && names.has(node.name)) found = true;
+    }
+  }));
+  return found;
+}
+
+function functionName(node, parent) {
+  if (node.id) return node.id.name;
+  if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+  if ((parent?.type === 'MethodDefinition' || parent?.type === 'Property') && !parent.computed) {
+    return parent.key.name ?? String(parent.key.value);
+  }
+  return null;
+}
+
+/**
+ * Yielded, returned and sent types of a generator's `Generator<Y, R, N>`,
+ * `Iterable<T>` or async counterpart annotation, or null for other types.
+ */
+function generatorTypes(type) {
+  if (type?.kind !== 'generic') return null;
+  const [yieldType, returnType, nextType] = type.typeArgs;
+  if (GENERATOR_TYPES.has(type.name)) return { yieldType, returnType, nextType };
+  if (ITERABLE_TYPES.has(type.name)) return { yieldType };
+  return null;
+}
+
+/**
+ * Parameter and return types of every typed function declaration, function
+ * expression, arrow function, object method and class member, by function
+ * node. `params` lines up with the parameters left after `this` is stripped.
+ * For async functions and functions returning `Promise<T>`, `returnType` is
+ * the resolved type and `resolves` says how the returned value is awaited.
+ * Generators have `generator` types instead, checked by a wrapper, and type
+ * guards and assertion functions (`x is T`, `asserts x is T`) a `predicate`.
+ */
+function collectSignatures(ast, typeRegistry) {
+  const signatures = new Map();
+  walk(ast, {
+    enter(node, parent) {
+      if (!FUNCTION_TYPES.has(node.type)) return;
+
+      const params = node.params
+        .filter(p => !(p.type === 'Identifier' && p.name === 'this'))
+        .map(p => paramSignature(p, typeRegistry));
+      let returnType = node.returnType
+        ? tsTypeToString(node.returnType.typeAnnotation, typeRegistry)
+        : null;
+      let resolves = null;
+      let generator = null;
+      let predicate = null;
+      if (returnType?.kind === 'predicate') {
+        predicate = returnType;
+        returnType = null;
+      } else if (node.generator) {
+        generator = generatorTypes(returnType);
+        returnType = null;
+      } else if (node.async || returnType?.kind === 'promise') {
+        resolves = node.async ? 'async' : 'promise';
+        if (returnType?.kind === 'promise') returnType = returnType.resolveType;
+      }
+      if (params.some(Boolean) || returnType || generator || predicate) {
+        signatures.set(node, { params, returnType, resolves, generator, predicate, name: functionName(node, parent) });
+      }
+    }
+  });
+  return signatures;
+}
+
+/**
+ * `return __checkResolved__(value, check, ...)`, checking what an async or
+ * promise-returning function resolves to once it settles.
+ */
+function resolvedReturn(node, signature, mode) {
+  const label = signature.name ? `${signature.name}()` : 'Return value';
+  const checkCode = compileCheck('__value', signature.returnType, mode, label);
+  if (!checkCode.trim() && signature.resolves === 'async') return null;
+  const result = needsContract(signature.returnType)
+    ? `__wrapContract__(__value, ${JSON.stringify(signature.returnType)}, ${JSON.stringify(label)})`
+    : '__value';
+  const [check] = Parser.parse(`((__value) => { ${checkCode} return ${result}; })`, { ecmaVersion: 2020 }).body;
+  return withLoc([{
+    type: 'ReturnStatement',
+    argument: {
+      type: 'CallExpression',
+      callee: { type: 'Identifier', name: '__checkResolved__' },
+      arguments: [
+        node.argument,
+        check.expression,
+        { type: 'Literal', value: label },
+        { type: 'Literal', value: signature.resolves === 'async' }
+      ],
+      optional: false
+    }
+  }], node.loc)[0];
+}
+
+const SCOPE_TYPES = new Set(['Program', 'BlockStatement', 'SwitchStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'CatchClause', ...FUNCTION_TYPES]);
+
+function declarePattern(scope, pattern, typeRegistry) {
+  switch (pattern?.type) {
+    case 'Identifier': {
+      const annotation = pattern.typeAnnotation?.typeAnnotation;
+      scope.set(pattern.name, annotation ? tsTypeToString(annotation, typeRegistry) : null);
+      break;
+    }
+    case 'TSParameterProperty': declarePattern(scope, pattern.parameter, typeRegistry); break;
+    case 'AssignmentPattern': declarePattern(scope, pattern.left, typeRegistry); break;
+    case 'RestElement': declarePattern(scope, pattern.argument, typeRegistry); break;
+    case 'ArrayPattern': pattern.elements.forEach(el => declarePattern(scope, el, typeRegistry)); break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(p => declarePattern(scope, p.type === 'RestElement' ? p : p.value, typeRegistry));
+      break;
+  }
+}
+
+function declareStatements(scope, statements, typeRegistry) {
+  for (const stmt of statements) {
+    const decl = stmt.type === 'ExportNamedDeclaration' || stmt.type === 'ExportDefaultDeclaration' ? stmt.declaration : stmt;
+    if (decl?.type === 'VariableDeclaration' && decl.kind !== 'var') {
+      decl.declarations.forEach(d => declarePattern(scope, d.id, typeRegistry));
+    } else if ((decl?.type === 'FunctionDeclaration' || decl?.type === 'ClassDeclaration') && decl.id) {
+      scope.set(decl.id.name, null);
+    } else if (stmt.type === 'ImportDeclaration') {
+      stmt.specifiers.forEach(s => scope.set(s.local.name, null));
+    }
+  }
+}
+
+// `var` declarations anywhere in a function body, outside nested functions
+function declareVars(scope, body, typeRegistry) {
+  walk(body, {
+    enter(node) {
+      if (FUNCTION_TYPES.has(node.type)) return this.skip();
+      if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+        node.declarations.forEach(d => declarePattern(scope, d.id, typeRegistry));
+      }
+    }
+  });
+}
+
+/**
+ * Types of typed variables, resolved through block and function scopes so
+ * that shadowing bindings are respected. `declarators` maps each typed
+ * declarator with an initializer to its type; `writes` maps each assignment,
+ * compound assignment, `++` and `--` of a typed variable or parameter to the
+ * binding it writes.
+ */
+function collectTypedBindings(ast, typeRegistry) {
+  const declarators = new Map();
+  const writes = new Map();
+  const scopes = [];
+
+  const lookup = name => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (scopes[i].has(name)) return scopes[i].get(name);
+    }
+    return null;
+  };
+
+  walk(ast, {
+    enter(node) {
+      if (SCOPE_TYPES.has(node.type)) {
+        const scope = new Map();
+        if (node.type === 'Program') {
+          declareVars(scope, node, typeRegistry);
+          declareStatements(scope, node.body, typeRegistry);
+        } else if (FUNCTION_TYPES.has(node.type)) {
+          if (node.type === 'FunctionExpression' && node.id) scope.set(node.id.name, null);
+          node.params.forEach(p => declarePattern(scope, p, typeRegistry));
+          declareVars(scope, node.body, typeRegistry);
+        } else if (node.type === 'BlockStatement') {
+          declareStatements(scope, node.body, typeRegistry);
+        } else if (node.type === 'SwitchStatement') {
+          node.cases.forEach(c => declareStatements(scope, c.consequent, typeRegistry));
+        } else if (node.type === 'CatchClause') {
+          declarePattern(scope, node.param, typeRegistry);
+        } else {
+          const head = node.type === 'ForStatement' ? node.init : node.left;
+          if (head?.type === 'VariableDeclaration' && head.kind !== 'var') declareStatements(scope, [head], typeRegistry);
+        }
+        scopes.push(scope);
+      }
+
+      if (node.type === 'VariableDeclarator' && node.init && node.id.type === 'Identifier' && node.id.typeAnnotation) {
+        declarators.set(node, tsTypeToString(node.id.typeAnnotation.typeAnnotation, typeRegistry));
+      }
+
+      const target = node.type === 'AssignmentExpression' ? node.left : node.type === 'UpdateExpression' ? node.argument : null;
+      if (target?.type === 'Identifier') {
+        const type = lookup(target.name);
+        if (type) writes.set(node, { name: target.name, type });
+      }
+    },
+    leave(node) {
+      if (SCOPE_TYPES.has(node.type)) scopes.pop();
+    }
+  });
+
+  return { declarators, writes };
+}
+
+/**
+ * Whether values of a type get a __wrapContract__ wrapper: function types,
+ * optional values and unions with exactly one function type, and object
+ * shapes with function-typed members. Mirrors __contractType__.
+ */
+function needsContract(type) {
+  if (!type || typeof type !== 'object') return false;
+  if (type.kind === 'function' || type.kind === 'method') return true;
+  if (type.kind === 'optional') return needsContract(type.type);
+  if (type.kind === 'union') return type.types.filter(needsContract).length === 1;
+  return !type.kind && Object.keys(type).some(key => !key.startsWith('__') && needsContract(type[key]));
+}
+
+// `__wrapContract__(expression, type, name)`
+function contractCall(expression, type, name) {
+  const source = `__wrapContract__(__value, ${JSON.stringify(type)}, ${JSON.stringify(name)})`;
+  const call = Parser.parse(source, { ecmaVersion: 2020 }).body[0].expression;
+  call.arguments[0] = expression;
+  return withLoc([call], expression.loc)[0];
+}
+
+/**
+ * Whether a type has parts __wrapReadonly__ enforces: readonly properties or
+ * index signatures, ReadonlyArray and readonly tuples, directly or in a
+ * property or element. Unions count when exactly one member does. Mirrors
+ * __readonlyType__; named references are not followed.
+ */
+function hasReadonly(type) {
+  if (!type || typeof type !== 'object') return false;
+  if (type.kind === 'readonlyArray') return true;
+  if (type.kind === 'tuple') return !!type.readonly;
+  if (type.kind === 'optional') return hasReadonly(type.type);
+  if (type.kind === 'union') return type.types.filter(hasReadonly).length === 1;
+  if (type.kind) return false;
+  return Object.values(type.__meta ?? {}).some(meta => meta.readonly) || !!type.__indexSignature?.readonly ||
+    Object.keys(type).some(key => !key.startsWith('__') && hasReadonly(type[key]));
+}
+
+// `__wrapReadonly__(expression, type, name)`
+function readonlyCall(expression, type, name) {
+  const source = `__wrapReadonly__(__value, ${JSON.stringify(type)}, ${JSON.stringify(name)})`;
+  const call = Parser.parse(source, { ecmaVersion: 2020 }).body[0].expression;
+  call.arguments[0] = expression;
+  return withLoc([call], expression.loc)[0];
+}
+
+/**
+ * The value stored in a typed binding: wrapped for its contract, then, when
+ * readonly enforcement is on, for its readonly parts.
+ */
+function guardedValue(expression, type, name, enforceReadonly) {
+  const value = needsContract(type) ? contractCall(expression, type, name) : expression;
+  return enforceReadonly && hasReadonly(type) ? readonlyCall(value, type, name) : value;
+}
+
+function compileStatements(checkCode, loc) {
+  return checkCode.trim() ? withLoc(Parser.parse(checkCode, { ecmaVersion: 2020 }).body, loc) : [];
+}
+
+/**
+ * Checks to run after a statement that declares typed variables.
+ */
+function declarationChecks(stmt, declarators, mode, enforceReadonly) {
+  const decl = stmt.type === 'ExportNamedDeclaration' ? stmt.declaration : stmt;
+  if (decl?.type !== 'VariableDeclaration') return [];
+  return decl.declarations
+    .filter(d => declarators.has(d))
+    .flatMap(d => {
+      const type = declarators.get(d);
+      d.init = guardedValue(d.init, type, d.id.name, enforceReadonly);
+      return compileStatements(compileCheck(d.id.name, type, mode, d.id.name), d.loc);
+    });
+}
+
+/**
+ * Check a typed variable after a write in expression position, passing the
+ * expression's own value through so `x++` still yields the old value.
+ */
+function checkedWrite(node, binding, mode) {
+  const checkCode = compileCheck(binding.name, binding.type, mode, binding.name);
+  if (!checkCode.trim()) return node;
+  const [wrapper] = Parser.parse(`((__value) => { ${checkCode} return __value; })`, { ecmaVersion: 2020 }).body;
+  return {
+    type: 'CallExpression',
+    callee: withLoc([wrapper.expression], node.loc)[0],
+    arguments: [node],
+    optional: false,
+    loc: node.loc
+  };
+}
+
+// Whether an expression is made of literals only, which the analyzer checks
+function isLiteralExpression(node) {
+  switch (node?.type) {
+    case 'Literal':
+      return true;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0;
+    case 'ArrayExpression':
+      return node.elements.every(el => el === null || isLiteralExpression(el));
+    case 'ObjectExpression':
+      return node.properties.every(p => p.type === 'Property' && p.kind === 'init' && !p.computed && isLiteralExpression(p.value));
+    default:
+      return false;
+  }
+}
+
+function annotationName(annotation, type) {
+  if (annotation.type === 'TSTypeReference') {
+    const name = typeName => typeName.type === 'TSQualifiedName' ? `${name(typeName.left)}.${typeName.right.name}` : typeName.name;
+    return name(annotation.typeName);
+  }
+  return annotation.type === 'TSTypeLiteral' ? 'object' : typeToString(type);
+}
+
+function expressionName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = expressionName(node.object);
+    if (object !== 'value') return `${object}.${node.property.name}`;
+  }
+  return 'value';
+}
+
+/**
+ * Runtime form of `expr as T`, `expr satisfies T` and `expr!`. Casts are only
+ * checked when `checkedCasts` is set, and never `as const`; `satisfies` is
+ * checked unless the expression is a literal the analyzer already checked.
+ * Unchecked forms leave just the expression.
+ */
+function typeAssertion(node, typeRegistry, mode, checkedCasts) {
+  const annotation = node.typeAnnotation;
+  const checked = node.type === 'TSSatisfiesExpression'
+    ? !isLiteralExpression(node.expression)
+    : node.type === 'TSAsExpression' && checkedCasts && annotation.typeName?.name !== 'const';
+  if (!checked) return node.expression;
+
+  const type = tsTypeToString(annotation, typeRegistry);
+  const kind = node.type === 'TSAsExpression' ? 'Cast to' : 'Satisfies';
+  const label = `${kind} ${annotationName(annotation, type)}: ${expressionName(node.expression)}`;
+  const checkCode = compileCheck('__value', type, mode, label);
+  if (!checkCode.trim()) return node.expression;
+  const result = needsContract(type) ? `__wrapContract__(__value, ${JSON.stringify(type)}, ${JSON.stringify(label)})` : '__value';
+  const [wrapper] = Parser.parse(`((__value) => { ${checkCode} return ${result}; })`, { ecmaVersion: 2020 }).body;
+  return {
+    type: 'CallExpression',
+    callee: withLoc([wrapper.expression], node.loc)[0],
+    arguments: [node.expression],
+    optional: false,
+    loc: node.loc
+  };
+}
+
+function checkFunction(type, mode, label) {
+  const checkCode = compileCheck('__value', type, mode, label);
+  if (!checkCode.trim()) return 'null';
+  return `(__value) => { ${checkCode} }`;
+}
+
+/**
+ * Move a generator's body into an inner generator it delegates to through
+ * `__checkGenerator__`, which checks every value it yields, its return value
+ * and values passed to `next()`. The outer function stays a generator, so it
+ * still starts lazily and keeps its `this` and `arguments`.
+ */
+function wrapGenerator(node, types, mode) {
+  const checks = [
+    checkFunction(types.yieldType, mode, 'Yielded value'),
+    checkFunction(types.returnType, mode, 'Return value'),
+    checkFunction(types.nextType, mode, 'Value passed to next()')
+  ];
+  if (checks.every(check => check === 'null')) return node.body.body;
+
+  const superAccess = liftSuper(node.body.body);
+  if (!superAccess) return node.body.body;
+
+  const fn = node.async ? 'async function*' : 'function*';
+  const source = `(${fn} () { return yield* __checkGenerator__((${fn} () {}).apply(this, arguments), ${checks.join(', ')}, ${!!node.async}); })`;
+  const [wrapper] = Parser.parse(source, { ecmaVersion: 2020 }).body[0].expression.body.body;
+  const inner = wrapper.argument.argument.arguments[0].callee.object;
+  inner.body.body = node.body.body;
+  return withLoc([...superAccess, wrapper], node.loc);
+}
+
+/**
+ * `super` is not allowed in the inner generator wrapGenerator moves a method
+ * body into, so reads and calls go through `const __super__ = key => super[key]`
+ * declared in the method itself: `super.g(x)` becomes
+ * `__super__("g").call(this, x)`. Returns the declaration to hoist (none when
+ * the body does not use `super`), or null when it assigns to a `super`
+ * property and cannot be moved.
+ */
+function liftSuper(body) {
+  const block = { type: 'BlockStatement', body };
+  const isSuperMember = node => node?.type === 'MemberExpression' && node.object.type === 'Super';
+  // Nested methods and classes have a `super` of their own
+  const ownSuper = new Set(['FunctionExpression', 'FunctionDeclaration', 'ClassBody']);
+
+  let used = false;
+  let assigned = false;
+  walk(block, {
+    enter(node) {
+      if (ownSuper.has(node.type)) return this.skip();
+      if (isSuperMember(node)) used = true;
+      if (isSuperMember(node.type === 'AssignmentExpression' ? node.left : node.type === 'UpdateExpression' ? node.argument : null)) {
+        assigned = true;
+      }
+    }
+  });
+  if (assigned) return null;
+  if (!used) return [];
+
+  const superGet = member => ({
+    type: 'CallExpression',
+    callee: { type: 'Identifier', name: '__super__' },
+    arguments: [member.computed ? member.property : { type: 'Literal', value: member.property.name }],
+    loc: member.loc
+  });
+  const superCalls = new Set();
+  walk(block, {
+    enter(node) {
+      if (ownSuper.has(node.type)) return this.skip();
+      if (node.type === 'CallExpression' && isSuperMember(node.callee)) superCalls.add(node);
+    },
+    leave(node) {
+      if (isSuperMember(node)) {
+        this.replace(superGet(node));
+      } else if (superCalls.has(node)) {
+        node.callee = { type: 'MemberExpression', object: node.callee, property: { type: 'Identifier', name: 'call' }, computed: false };
+        node.arguments = [{ type: 'ThisExpression' }, ...node.arguments];
+      }
+    }
+  });
+
+  const superKey = { type: 'MemberExpression', object: { type: 'Super' }, property: { type: 'Identifier', name: 'key' }, computed: true };
+  return [{
+    type: 'VariableDeclaration',
+    kind: 'const',
+    declarations: [{
+      type: 'VariableDeclarator',
+      id: { type: 'Identifier', name: '__super__' },
+      init: { type: 'ArrowFunctionExpression', params: [{ type: 'Identifier', name: 'key' }], body: superKey, expression: true }
+    }]
+  }];
+}
+
+/**
+ * Check that the argument a type guard or assertion function vouches for,
+ * captured in `__guarded__` on entry, really has the promised type.
+ * `asserts x` without a type only promises that x is truthy.
+ */
+function predicateCheck(signature, mode, loc) {
+  const { parameterName, type, asserts } = signature.predicate;
+  const kind = asserts ? 'Assertion' : 'Type guard';
+  const label = `${signature.name ? `${kind} ${signature.name}()` : kind}: ${parameterName}`;
+  const checkCode = type
+    ? compileCheck('__guarded__', type, mode, label)
+    : `if (!__guarded__) __handleCheckError__(${JSON.stringify(label)}, "truthy value", __valueStr__(__guarded__));`;
+  return compileStatements(checkCode, loc);
+}
+
+/**
+ * A type guard's argument is checked when it returns true; an assertion
+ * function's whenever it returns normally.
+ */
+function predicateReturn(node, signature, mode, retName) {
+  const checks = predicateCheck(signature, mode, node.loc);
+  if (checks.length === 0) return null;
+  if (!node.argument) return { type: 'BlockStatement', body: [...checks, node], loc: node.loc };
+  const retValue = { type: 'Identifier', name: retName };
+  const body = [
+    {
+      type: 'VariableDeclaration',
+      kind: 'const',
+      declarations: [{ type: 'VariableDeclarator', id: retValue, init: node.argument }]
+    },
+    signature.predicate.asserts
+      ? checks
+      : { type: 'IfStatement', test: retValue, consequent: { type: 'BlockStatement', body: checks }, alternate: null },
+    { type: 'ReturnStatement', argument: retValue }
+  ].flat();
+  return { type: 'BlockStatement', body: withLoc(body, node.loc), loc: node.loc };
+}
+
+/**
+ * `const __guarded__ = x` for the parameter a predicate is about, plus the
+ * assertion check for falling off the end of an assertion function's body.
+ */
+function guardStatements(node, signature, mode, renames) {
+  const { parameterName, asserts } = signature.predicate;
+  if (predicateCheck(signature, mode).length === 0) return { entry: [], exit: [] };
+  let guarded;
+  if (parameterName === 'this') {
+    guarded = { type: 'ThisExpression' };
+  } else {
+    const declared = node.params.some(p => (p.type === 'AssignmentPattern' ? p.left : p).name === (renames.get(parameterName) ?? parameterName));
+    if (!declared) return { entry: [], exit: [] };
+    guarded = { type: 'Identifier', name: renames.get(parameterName) ?? parameterName };
+  }
+  const entry = withLoc([{
+    type: 'VariableDeclaration',
+    kind: 'const',
+    declarations: [{ type: 'VariableDeclarator', id: { type: 'Identifier', name: '__guarded__' }, init: guarded }]
+  }], node.loc);
+  const last = node.body.body[node.body.body.length - 1];
+  const exits = asserts && last?.type !== 'ReturnStatement' && last?.type !== 'ThrowStatement';
+  return { entry, exit: exits ? predicateCheck(signature, mode, node.loc) : [] };
+}
+
+/**
+ * Check typed parameters on entry: each is renamed to `__arg_<name>`, checked,
+ * and rebound under its own name. Destructuring patterns are renamed to
+ * `__arg_<index>` and destructured after the check; defaults stay in the
+ * parameter list. Expression-bodied arrows get a block body so there is
+ * somewhere to put the checks and their return can be checked.
+ */
+function instrumentFunction(node, signature, mode, enforceReadonly) {
+  const checkStmts = [];
+  const restoreStmts = [];
+  const renames = new Map();
+
+  node.params.forEach((param, i) => {
+    const typed = signature.params[i];
+    if (!typed) return;
+    // A pattern whose bindings later defaults use must stay in the parameter list
+    if (typed.pattern && refersToBindings(node.params.slice(i + 1), param)) return;
+    const argName = typed.pattern ? `__arg_${i}` : `__arg_${typed.name}`;
+    const checkCode = compileCheck(argName, typed.type, mode, typed.name);
+    if (!checkCode.trim()) return;
+    try {
+      checkStmts.push(...withLoc(Parser.parse(checkCode, { ecmaVersion: 2020 }).body, param.loc));
+    } catch (e) {
+      throw new Error(`Failed to parse compiled check: ${checkCode}`);
+    }
+
+    const argId = { type: 'Identifier', name: argName, loc: param.loc };
+    let binding;
+    if (param.type === 'RestElement') {
+      binding = param.argument;
+      param.argument = argId;
+    } else if (param.type === 'AssignmentPattern') {
+      binding = param.left;
+      param.left = argId;
+    } else {
+      binding = param;
+      node.params[i] = argId;
+    }
+    if (!typed.pattern) renames.set(typed.name, argName);
+
+    // `let`, since function bodies may reassign their parameters
+    restoreStmts.push({
+      loc: param.loc,
+      type: 'VariableDeclaration',
+      kind: 'let',
+      declarations: [{
+        type: 'VariableDeclarator',
+        id: typed.pattern ? binding : { type: 'Identifier', name: typed.name },
+        init: guardedValue({ type: 'Identifier', name: argName }, typed.type, typed.name, enforceReadonly)
+      }]
+    });
+  });
+  if (renames.size > 0) renameReferences(node.params, renames);
+
+  if (node.body.type !== 'BlockStatement') {
+    if (checkStmts.length === 0 && !signature.returnType && !signature.predicate) return;
+    node.body = {
+      type: 'BlockStatement',
+      body: [{ type: 'ReturnStatement', argument: node.body, loc: node.body.loc }],
+      loc: node.body.loc
+    };
+    node.expression = false;
+  }
+  const body = signature.generator ? wrapGenerator(node, signature.generator, mode) : node.body.body;
+  const guard = signature.predicate ? guardStatements(node, signature, mode, renames) : { entry: [], exit: [] };
+  node.body.body = [...guard.entry, ...checkStmts, ...restoreStmts, ...body, ...guard.exit];
+}
+
+function memberAssignment(object, member, value, loc) {
+  return {
+    loc,
+    type: 'ExpressionStatement',
+    expression: {
+      type: 'AssignmentExpression',
+      operator: '=',
+      left: { type: 'MemberExpression', object, property: member.key, computed: !!member.computed },
+      right: value
+    }
+  };
+}
+
+/**
+ * `this` in a static field initializer is the class. Initializers moved out of
+ * the class body refer to it by name instead; `this` inside nested
+ * non-arrow functions is left alone.
+ */
+function replaceThis(value, className) {
+  return walk(value, {
+    enter(node) {
+      if (node.type === 'FunctionExpression' || node.type === 'FunctionDeclaration') return this.skip();
+      if (node.type === 'ThisExpression') this.replace({ type: 'Identifier', name: className, loc: node.loc });
+    }
+  }) ?? value;
+}
+
+function fieldKey(member) {
+  const key = member.key.type === 'Identifier' ? member.key.name : member.key.value;
+  return member.computed || typeof key !== 'string' ? null : key;
+}
+
+function fieldCheck(object, member, typeRegistry, mode, owner) {
+  const annotation = member.typeAnnotation?.typeAnnotation;
+  const key = fieldKey(member);
+  if (!annotation || key === null) return [];
+
+  const type = tsTypeToString(annotation, typeRegistry);
+  const access = IDENTIFIER_RE.test(key) ? `${object}.${key}` : `${object}[${JSON.stringify(key)}]`;
+  const checkCode = compileCheck(access, member.optional ? { kind: 'optional', type } : type, mode, owner ? `${owner}.${key}` : key);
+  if (!checkCode.trim()) return [];
+  return withLoc(Parser.parse(checkCode, { ecmaVersion: 2020 }).body, member.loc);
+}
+
+// A field initializer wrapped for the readonly parts of the field's type
+function readonlyField(member, value, typeRegistry, owner) {
+  const annotation = member.typeAnnotation?.typeAnnotation;
+  const key = fieldKey(member);
+  if (!annotation || key === null) return value;
+  const type = tsTypeToString(annotation, typeRegistry);
+  return hasReadonly(type) ? readonlyCall(value, type, `${owner}.${key}`) : value;
+}
+
+// `__defineReadonly__(target, key, owner, name);`
+function readonlyDefinition(target, key, owner, name, loc) {
+  const source = `__defineReadonly__(${target}, ${[key, owner, name].map(s => JSON.stringify(s)).join(', ')});`;
+  return withLoc(Parser.parse(source, { ecmaVersion: 2020 }).body, loc)[0];
+}
+
+function superCallIndex(body) {
+  return body.findIndex(stmt => stmt.type === 'ExpressionStatement' &&
+    stmt.expression.type === 'CallExpression' && stmt.expression.callee.type === 'Super');
+}
+
+/**
+ * escodegen cannot print class fields or parameter properties, so they are
+ * lowered the way TypeScript does without define semantics: parameter
+ * properties and instance fields become `this.x = ...` assignments at the
+ * start of the constructor (after `super()` in derived classes), and static
+ * fields of class declarations become assignments after the class, returned
+ * for the caller to place. Typed initializers are checked once assigned.
+ * With readonly enforcement, readonly fields become guarded accessors.
+ * Abstract members, overload signatures and index signatures are dropped.
+ */
+function lowerClass(node, typeRegistry, mode, enforceReadonly) {
+  const className = node.id?.name;
+  const owner = className ?? 'anonymous class';
+  const instanceInits = [];
+  const staticInits = [];
+  const readonlyKeys = [];
+  let ctor = null;
+
+  node.body.body = node.body.body.filter(member => {
+    if (member.type === 'TSIndexSignature' || member.value?.type === 'TSDeclareMethod') return false;
+    if (member.type === 'MethodDefinition' && member.kind === 'constructor') ctor = member;
+    if (member.type !== 'PropertyDefinition' || member.key.type === 'PrivateIdentifier') return true;
+    if (member.static && !(node.type === 'ClassDeclaration' && className)) return true;
+    const key = fieldKey(member);
+    if (enforceReadonly && member.readonly && !member.static && !member.abstract && !member.declare && key !== null) {
+      readonlyKeys.push({ key, loc: member.loc });
+    }
+    if (!member.value) return false;
+
+    const value = enforceReadonly ? readonlyField(member, member.value, typeRegistry, owner) : member.value;
+    if (member.static) {
+      const target = { type: 'Identifier', name: className };
+      staticInits.push(memberAssignment(target, member, replaceThis(value, className), member.loc),
+        ...fieldCheck(className, member, typeRegistry, mode, className));
+      if (enforceReadonly && member.readonly && key !== null) {
+        staticInits.push(readonlyDefinition(className, key, owner, `${className}.${key}`, member.loc));
+      }
+    } else {
+      instanceInits.push(memberAssignment({ type: 'ThisExpression' }, member, value, member.loc),
+        ...fieldCheck('this', member, typeRegistry, mode, className));
+    }
+    return false;
+  });
+
+  // Parameter properties are assigned before field initializers run
+  const paramInits = [];
+  if (ctor) {
+    ctor.value.params = ctor.value.params.map(param => {
+      if (param.type !== 'TSParameterProperty') return param;
+      const id = param.parameter.type === 'AssignmentPattern' ? param.parameter.left : param.parameter;
+      paramInits.push(memberAssignment({ type: 'ThisExpression' }, { key: { type: 'Identifier', name: id.name } },
+        { type: 'Identifier', name: id.name }, param.loc));
+      if (enforceReadonly && param.readonly) readonlyKeys.unshift({ key: id.name, loc: param.loc });
+      return param.parameter;
+    });
+  }
+
+  const inits = [...paramInits, ...instanceInits];
+  if (inits.length > 0) {
+    if (!ctor) {
+      const source = node.superClass
+        ? 'class _ extends _ { constructor(...args) { super(...args); } }'
+        : 'class _ { constructor() {} }';
+      ctor = Parser.parse(source, { ecmaVersion: 2020 }).body[0].body.body[0];
+      node.body.body.unshift(ctor);
+    }
+    const body = ctor.value.body.body;
+    body.splice(node.superClass ? superCallIndex(body) + 1 : 0, 0, ...inits);
+  }
+
+  // Readonly fields may still be assigned in the constructor, so they become
+  // read-only once it has run
+  if (ctor && readonlyKeys.length > 0) {
+    ctor.value.body.body.push(...readonlyKeys.map(({ key, loc }) => readonlyDefinition('this', key, owner, key, loc)));
+  }
+
+  return staticInits;
+}
+
+/**
+ * Lower the fields and parameter properties of every class, innermost first,
+ * placing static initializers right after their class declaration.
+ */
+function lowerClassMembers(ast, typeRegistry, mode, enforceReadonly) {
+  const staticInits = new Map();
+  walk(ast, {
+    leave(node) {
+      if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+        staticInits.set(node, lowerClass(node, typeRegistry, mode, enforceReadonly));
+        return;
+      }
+      if (node.type !== 'Program' && node.type !== 'BlockStatement') return;
+      node.body = node.body.flatMap(stmt => {
+        const declaration = stmt.type === 'ClassDeclaration' ? stmt : stmt.declaration;
+        return [stmt, ...(staticInits.get(declaration) ?? [])];
+      });
+    }
+  });
+}
+
+function transformAst(ast, typeRegistry, mode, { checkedCasts = false, enforceReadonly: readonlyOption = false } = {}) {
+  // Readonly enforcement is a development aid; production output is left alone
+  const enforceReadonly = readonlyOption && mode !== 'production';
 
-function transformAst(ast, typeRegistry, mode) {
   // Remove compile-time TS nodes
   if (ast.body) {
-    ast.body = ast.body.filter(node =>
-      node.type !== 'TSInterfaceDeclaration' &&
-      node.type !== 'TSTypeAliasDeclaration' &&
-      node.type !== 'TSEnumDeclaration'
-    );
+    ast.body = eraseTypeOnlyModuleSyntax(ast.body, typeRegistry);
   }
 
+  // Read function signatures before their annotations are stripped
+  const signatures = collectSignatures(ast, typeRegistry);
+  const { declarators, writes } = collectTypedBindings(ast, typeRegistry);
+  lowerClassMembers(ast, typeRegistry, mode, enforceReadonly);
+
   // Strip TypeScript-specific properties from all nodes
   walk(ast, {
     enter(node) {
+      if (TYPE_ASSERTIONS.has(node.type)) {
+        this.replace(typeAssertion(node, typeRegistry, mode, checkedCasts));
+        return;
+      }
+
       // Remove type annotations
       if (node.typeAnnotation) node.typeAnnotation = null;
       if (node.returnType) node.returnType = null;
@@ -83,134 +991,229 @@ function transformAst(ast, typeRegistry, mode) {
     }
   });
 
-
-
   let returnCounter = 0;
-
-  const funcTypes = {};
-  typeRegistry.forEach(entry => {
-    if (entry.kind === 'function') {
-      funcTypes[entry.name] = entry;
-    }
-  });
+  const functions = [];
 
   walk(ast, {
     enter(node) {
-      if (node.type === 'FunctionDeclaration' && node.id && funcTypes[node.id.name]?.params?.length > 0) {
-        const params = funcTypes[node.id.name].params;
-        const checkStmts = params
-          .filter(p => !p.isThis) // Skip 'this' parameter
-          .flatMap(p => { // Use flatMap because compileCheck returns multiple statements potentially
-            const varName = p.name.replace(/^\.\.\./, '');
-            // Ensure the parameter is renamed to __arg_name
-            const argName = `__arg_${varName}`;
-
-            // Generate the check code
-            // Note: p.type is the Type Object from the parser (kind: 'number', etc)
-            const checkCode = compileCheck(argName, p.type, mode, varName);
-            if (!checkCode.trim()) return [];
-            try {
-              return Parser.parse(checkCode, { ecmaVersion: 2020 }).body;
-            } catch (e) {
-              throw new Error(`Failed to parse compiled check: ${checkCode}`);
-            }
-          });
-
-        node.params = node.params.map((param, i) => {
-          if (params[i] && !params[i].isThis) {
-            // ... existing renaming logic ...
-            if (param.type === 'RestElement') {
-              param.argument.name = `__arg_${param.argument.name}`;
-            } else if (param.name !== 'this') {
-              param.name = `__arg_${param.name}`;
-            }
-          }
-          return param;
-        });
+      if (!FUNCTION_TYPES.has(node.type)) return;
+      const signature = signatures.get(node);
+      functions.push(signature);
+      if (signature) instrumentFunction(node, signature, mode, enforceReadonly);
+    },
+    leave(node, parent) {
+      if (FUNCTION_TYPES.has(node.type)) {
+        functions.pop();
+        return;
+      }
 
-        // Add variable restoration (const x = __arg_x) IF we want?
-        // Actually, if we rename params to __arg_x, we should probably 
-        // declare `const x = __arg_x` to keep original function body working without modification?
-        // Wait, the previous logic did:
-        /*
-            type: 'VariableDeclaration',
-            declarations: [{
-              id: { name: 'x' },
-              init: createCheckCall('x', {name: '__arg_x'}, type)
-            }]
-        */
-        // This effectively did `const x = check('x', __arg_x, ...)`
-        // So `x` was the checked value.
-        // We need to maintain this: `const x = __arg_x;` AND then `check(__arg_x)`?
-        // OR `check(__arg_x); const x = __arg_x;`?
-
-        // Let's do:
-        // 1. Rename param to __arg_x
-        // 2. Generate checks for __arg_x
-        // 3. Declare const x = __arg_x
-
-        const restoreStmts = params
-          .filter(p => !p.isThis)
-          .map(p => {
-            const varName = p.name.replace(/^\.\.\./, '');
-            return {
-              type: 'VariableDeclaration',
-              kind: 'const',
-              declarations: [{
-                type: 'VariableDeclarator',
-                id: { type: 'Identifier', name: varName },
-                init: { type: 'Identifier', name: `__arg_${varName}` }
-              }]
-            };
-          });
-
-        node.body.body = [...checkStmts, ...restoreStmts, ...node.body.body];
+      if (node.type === 'Program' || node.type === 'BlockStatement' || node.type === 'SwitchCase') {
+        const key = node.type === 'SwitchCase' ? 'consequent' : 'body';
+        node[key] = node[key].flatMap(stmt => [stmt, ...declarationChecks(stmt, declarators, mode, enforceReadonly)]);
+        return;
+      }
 
+      if (node.type === 'ExpressionStatement' && writes.has(node.expression)) {
+        const { name, type } = writes.get(node.expression);
+        const checkAst = compileStatements(compileCheck(name, type, mode, name), node.loc);
+        if (checkAst.length > 0) this.replace({ type: 'BlockStatement', body: [node, ...checkAst], loc: node.loc });
+        return;
+      }
 
+      if (node.type === 'AssignmentExpression' && node.operator === '=' && writes.has(node)) {
+        node.right = guardedValue(node.right, writes.get(node).type, node.left.name, enforceReadonly);
       }
-    },
-    leave(node, parent) {
-      if (node.type === 'ReturnStatement' && parent?.type === 'BlockStatement' && parent.parent?.type === 'FunctionDeclaration' && parent.parent.id) {
-        const funcName = parent.parent.id.name;
-        const returnType = funcTypes[funcName]?.returnType;
-        if (returnType && returnType !== 'any' && node.argument) {
-          const retName = `__ret_${returnCounter++}`;
-          const retDecl = {
-            type: 'VariableDeclaration',
-            kind: 'const',
-            declarations: [{
-              type: 'VariableDeclarator',
-              id: { type: 'Identifier', name: retName },
-              init: node.argument
-            }]
-          };
-          const checkCode = compileCheck(retName, returnType, mode, 'Return value');
-          const checkAst = checkCode.trim() ? Parser.parse(checkCode, { ecmaVersion: 2020 }).body : [];
-          const retStmt = {
-            type: 'ReturnStatement',
-            argument: { type: 'Identifier', name: retName }
-          };
-          const idx = parent.body.indexOf(node);
-          if (idx !== -1) {
-            parent.body.splice(idx, 1, retDecl, ...checkAst, retStmt);
-          }
-        }
+
+      if (writes.has(node) && parent?.type !== 'ExpressionStatement') {
+        this.replace(checkedWrite(node, writes.get(node), mode));
+        return;
+      }
+
+      const signature = functions[functions.length - 1];
+      const returnType = signature?.returnType;
+      if (node.type === 'ReturnStatement' && signature?.predicate) {
+        const checked = predicateReturn(node, signature, mode, `__ret_${returnCounter++}`);
+        if (checked) this.replace(checked);
+        return;
+      }
+      if (node.type === 'ReturnStatement' && signature?.resolves && node.argument) {
+        const checked = resolvedReturn(node, signature, mode);
+        if (checked) this.replace(checked);
+        return;
+      }
+      if (node.type === 'ReturnStatement' && returnType && node.argument) {
+        const retName = `__ret_${returnCounter++}`;
+        const checkCode = compileCheck(retName, returnType, mode, 'Return value');
+        if (!checkCode.trim()) return;
+        const retDecl = {
+          type: 'VariableDeclaration',
+          kind: 'const',
+          declarations: [{
+            type: 'VariableDeclarator',
+            id: { type: 'Identifier', name: retName },
+            init: node.argument
+          }]
+        };
+        const retValue = { type: 'Identifier', name: retName };
+        const retStmt = {
+          type: 'ReturnStatement',
+          argument: needsContract(returnType)
+            ? contractCall(retValue, returnType, signature.name ? `${signature.name}()` : 'Return value')
+            : retValue
+        };
+        const checkAst = Parser.parse(checkCode, { ecmaVersion: 2020 }).body;
+        // A block keeps this valid wherever the return was, e.g. an unbraced `if`
+        this.replace({ type: 'BlockStatement', body: withLoc([retDecl, ...checkAst, retStmt], node.loc), loc: node.loc });
       }
     }
   });
 
+  elideUnusedImports(ast);
+
   return ast;
 }
 
-export function generate(ast, typeRegistry, mode = 'development') {
-  const transformedAst = transformAst(ast, typeRegistry, mode);
+/**
+ * Resolve every lazy ref to a recursive type reachable from the registry into
+ * the type table the runtime helpers check refs against, keyed by typeRefKey().
+ */
+function buildTypeTable(typeRegistry) {
+  const table = {};
+  const queue = [];
+  const collect = type => {
+    if (Array.isArray(type)) type.forEach(collect);
+    else if (type && typeof type === 'object') {
+      if (type.kind === 'ref') queue.push(type);
+      else Object.values(type).forEach(collect);
+    }
+  };
 
-  let transformed = escodegen.generate(transformedAst, {
-    format: { indent: { style: '  ' } },
-    comment: true,
+  collect(typeRegistry);
+  while (queue.length > 0 && Object.keys(table).length < MAX_TYPE_TABLE_SIZE) {
+    const ref = queue.shift();
+    const key = typeRefKey(ref);
+    if (key in table) continue;
+    table[key] = resolveTypeRef(ref, typeRegistry) ?? 'unknown';
+    collect(table[key]);
+  }
+  return table;
+}
+
+/**
+ * Classes declared at the top level of a module, which its runtime helpers can
+ * reach for instanceof checks. Getters defer the lookup until the check runs.
+ */
+function moduleClasses(ast) {
+  return ast.body
+    .map(node => node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration' ? node.declaration : node)
+    .filter(node => node?.type === 'ClassDeclaration' && node.id)
+    .map(node => node.id.name);
+}
+
+// Source map entry the prepended runtime helpers and enum objects map to, so
+// stack frames inside them are not reported against the user's file
+const RUNTIME_SOURCE = 'typedjs:runtime';
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function encodeVlq(values) {
+  return values.map(value => {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    let out = '';
+    do {
+      const digit = vlq & 31;
+      vlq >>>= 5;
+      out += BASE64_DIGITS[vlq > 0 ? digit | 32 : digit];
+    } while (vlq > 0);
+    return out;
+  }).join('');
+}
+
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    value += (digit & 31) << shift;
+    shift += 5;
+    if (digit & 32) continue;
+    values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+    value = 0;
+    shift = 0;
+  }
+  return values;
+}
+
+/**
+ * Prepend mappings for the `preamble` lines to `map`, mapping the start of
+ * every token to the same position in a RUNTIME_SOURCE entry holding it.
+ */
+function mapPreamble(map, preamble) {
+  const runtimeIndex = map.sources.length;
+  map.sourcesContent = [...(map.sourcesContent ?? map.sources.map(() => null)), preamble];
+  map.sources = [...map.sources, RUNTIME_SOURCE];
+
+  // Segment fields other than the generated column are relative to the
+  // previous segment, across lines
+  let source = 0;
+  let line = 0;
+  let column = 0;
+  const preambleLines = preamble.split('\n').slice(0, -1).map((text, index) => {
+    let generatedColumn = 0;
+    return [...text.matchAll(/\S+/g)].map(match => {
+      const segment = encodeVlq([match.index - generatedColumn, runtimeIndex - source, index - line, match.index - column]);
+      generatedColumn = column = match.index;
+      source = runtimeIndex;
+      line = index;
+      return segment;
+    }).join(',');
   });
 
+  // The first user segment with a source now follows the last preamble one
+  const lines = map.mappings.split(';').map(segments => segments.split(','));
+  lines.some(segments => segments.some((segment, i) => {
+    const fields = decodeVlq(segment);
+    if (fields.length < 4) return false;
+    fields[1] -= source;
+    fields[2] -= line;
+    fields[3] -= column;
+    segments[i] = encodeVlq(fields);
+    return true;
+  }));
+
+  map.mappings = [...preambleLines, ...lines.map(segments => segments.join(','))].join(';');
+  return map;
+}
+
+/**
+ * Build a `//# sourceMappingURL=` comment embedding the map as a data URL.
+ */
+export function inlineSourceMapComment(map) {
+  const encoded = Buffer.from(JSON.stringify(map)).toString('base64');
+  return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${encoded}`;
+}
+
+/**
+ * Generate JavaScript from a parsed .tjs AST.
+ * Returns the code string, or `{ code, map }` when `options.sourceMap` is set.
+ * `options.sourceFile` names the original file in the map and
+ * `options.sourceContent` embeds its text. `options.checkedCasts` checks
+ * `expr as T` casts at runtime. `options.enforceReadonly` reports writes to
+ * readonly properties and arrays outside production.
+ */
+export function generate(ast, typeRegistry, mode = 'development', options = {}) {
+  const transformedAst = transformAst(ast, typeRegistry, mode, options);
 
+  const generated = escodegen.generate(transformedAst, {
+    format: { indent: { style: '  ' } },
+    comment: true,
+    ...(options.sourceMap && {
+      sourceMap: options.sourceFile || 'input.tjs',
+      sourceMapWithCode: true,
+      sourceContent: options.sourceContent
+    })
+  });
+  const transformed = options.sourceMap ? generated.code : generated;
 
   // Generate enum runtime objects
   const enumDefs = typeRegistry
@@ -231,6 +1234,9 @@ const __TPJS_COLORS__ = {
   red: "\\x1b[31m",
   bold: "\\x1b[1m"
 };
+const __TPJS_TYPES__ = ${JSON.stringify(buildTypeTable(typeRegistry))};
+const __TPJS_CLASSES__ = {${moduleClasses(ast).map(name => `\n  get ${name}() { return ${name}; }`).join(',')}
+};
 
 function typeToString(t) {
   if (!t) return 'unknown';
@@ -248,7 +1254,7 @@ function typeToString(t) {
     if (t.kind === 'tuple') {
       const els = t.elements.map(e => {
         if (e?.kind === 'optionalElement') return typeToString(e.type) + '?';
-        if (e?.kind === 'rest') return '...' + typeToString(e.type);
+        if (e?.kind === 'rest') return '...' + typeToString(e.type) + '[]';
         if (e?.kind === 'labeled') return e.label + ': ' + typeToString(e.type);
         return typeToString(e);
       });
@@ -256,11 +1262,13 @@ function typeToString(t) {
     }
     if (t.kind === 'optional') return typeToString(t.type) + '?';
     if (t.kind === 'record') return 'Record<' + typeToString(t.keyType) + ', ' + typeToString(t.valueType) + '>';
-    if (t.kind === 'enumRef') return t.name;
-    if (t.kind === 'function') {
+    if (t.kind === 'enumRef' || t.kind === 'instance') return t.name;
+    if (t.kind === 'ref') return t.name + (t.typeArgs ? '<' + t.typeArgs.map(typeToString).join(', ') + '>' : '');
+    if (t.kind === 'function' || t.kind === 'method') {
       const params = (t.params || []).map(p => p.name + ': ' + typeToString(p.type)).join(', ');
       return '(' + params + ') => ' + typeToString(t.returnType);
     }
+    if (t.kind === 'predicate') return (t.asserts ? 'asserts ' : '') + t.parameterName + (t.type ? ' is ' + typeToString(t.type) : '');
     if (t.kind === 'keyof') return 'keyof ' + typeToString(t.type);
     if (t.kind === 'typeof') return 'typeof ' + t.expression;
     if (t.kind === 'conditional') {
@@ -290,9 +1298,11 @@ function typeToString(t) {
   return String(t);
 }
 
-function __handleCheckError__(name, expected, actual) {
-  const message = name + ' expected ' + expected + ', got ' + actual;
-  
+function __handleCheckError__(name, expected, actual, blame) {
+  __reportTypeError__(name + ' expected ' + expected + ', got ' + actual + (blame ? ' (blame: ' + blame + ')' : ''));
+}
+
+function __reportTypeError__(message) {
   if (__TPJS_MODE__ === 'production' || __TPJS_MODE__ === 'strict') {
      throw new TypeError('[TypedJS] ' + message);
   } else {
@@ -303,11 +1313,275 @@ function __handleCheckError__(name, expected, actual) {
   }
 }
 
+function __typeRefKey__(ref) {
+  return ref.typeArgs && ref.typeArgs.length > 0 ? ref.name + JSON.stringify(ref.typeArgs) : ref.name;
+}
+
+// Classes declared in this module are looked up in __TPJS_CLASSES__, built-in
+// constructors globally; a name that resolves to neither is not checked
+function __isInstance__(value, name) {
+  let ctor;
+  try {
+     ctor = Object.prototype.hasOwnProperty.call(__TPJS_CLASSES__, name) ? __TPJS_CLASSES__[name] : globalThis[name];
+  } catch (e) {
+     // The class declaration has not run yet, so nothing is an instance of it
+     return false;
+  }
+  return typeof ctor !== 'function' || value instanceof ctor;
+}
+
+function __isThenable__(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+// Run a compiled check on the value a function's promise resolves to. Async
+// functions may also return plain values; other functions must return a thenable.
+function __checkResolved__(value, check, name, isAsync) {
+  if (__isThenable__(value)) return value.then(check);
+  if (isAsync) return check(value);
+  __handleCheckError__(name, 'Promise', __valueStr__(value));
+  return value;
+}
+
+// Check what a typed generator yields, returns and is sent through next().
+// The first next() only starts the generator, so its argument is not checked,
+// and neither is a missing one: for...of and spreading call next() without it.
+function __checkGenerator__(generator, checkYield, checkReturn, checkNext, isAsync) {
+  let started = false;
+  const check = result => {
+    const checkValue = result.done ? checkReturn : checkYield;
+    if (checkValue) checkValue(result.value);
+    return result;
+  };
+  const step = result => isAsync ? result.then(check) : check(result);
+  const wrapper = {
+    next(value) {
+      if (started && checkNext && value !== undefined) checkNext(value);
+      started = true;
+      return step(generator.next(value));
+    },
+    throw(error) {
+      started = true;
+      return step(generator.throw(error));
+    },
+    return(value) {
+      return step(generator.return(value));
+    }
+  };
+  wrapper[isAsync ? Symbol.asyncIterator : Symbol.iterator] = () => wrapper;
+  return wrapper;
+}
+
+// Contract wrappers by wrapped value, then by declared type, so a callback
+// passed twice gets the same wrapper (e.g. for removeEventListener)
+const __TPJS_CONTRACTS__ = new WeakMap();
+const __TPJS_CONTRACT_TARGETS__ = new WeakMap();
+
+function __contractType__(type) {
+  if (!type || typeof type !== 'object') return null;
+  if (type.kind === 'function' || type.kind === 'method') return type;
+  if (type.kind === 'optional') return __contractType__(type.type);
+  if (type.kind === 'union') {
+     const members = type.types.map(__contractType__).filter(Boolean);
+     return members.length === 1 ? members[0] : null;
+  }
+  if (!type.kind && Object.keys(type).some(k => !k.startsWith('__') && __contractType__(type[k]))) return type;
+  return null;
+}
+
+function __cachedContract__(value, key, create) {
+  let byType = __TPJS_CONTRACTS__.get(value);
+  if (!byType) __TPJS_CONTRACTS__.set(value, byType = new Map());
+  if (!byType.has(key)) byType.set(key, create());
+  return byType.get(key);
+}
+
+// Wrap a value declared with a function type so every call checks its
+// arguments, blaming the caller, and its return value, blaming the callee.
+// Objects whose type has function-typed members are proxied so those members
+// are wrapped when read. Other values are returned as they are.
+function __wrapContract__(value, declared, name) {
+  const type = __contractType__(declared);
+  if (!type || value === null || (typeof value !== 'object' && typeof value !== 'function')) return value;
+
+  if (type.kind) {
+     if (typeof value !== 'function') return value;
+     return __cachedContract__(value, JSON.stringify(type), () => {
+       const params = (type.params || []).filter(p => p.name !== 'this');
+       const wrapper = function (...args) {
+         params.forEach((param, i) => {
+           if (param.name.startsWith('...')) {
+             const rest = args.slice(i);
+             if (!__matchesType__(rest, param.type)) {
+               __handleCheckError__(name + ' argument ' + param.name, typeToString(param.type), __valueStr__(rest), 'caller');
+             }
+             return;
+           }
+           if (param.optional && args[i] === undefined) return;
+           if (!__matchesType__(args[i], param.type)) {
+             __handleCheckError__(name + ' argument ' + param.name, typeToString(param.type), __valueStr__(args[i]), 'caller');
+           }
+           args[i] = __wrapContract__(args[i], param.type, name + ' argument ' + param.name);
+         });
+         const self = __TPJS_CONTRACT_TARGETS__.get(this) || this;
+         const result = new.target ? Reflect.construct(value, args) : value.apply(self, args);
+         // A void return type means the result is ignored, not that it is undefined
+         if (type.returnType === 'void') return result;
+         if (!__matchesType__(result, type.returnType)) {
+           __handleCheckError__(name + ' return value', typeToString(type.returnType), __valueStr__(result), 'callee');
+         }
+         return __wrapContract__(result, type.returnType, name + ' return value');
+       };
+       Object.defineProperty(wrapper, 'name', { value: value.name });
+       Object.defineProperty(wrapper, 'length', { value: value.length });
+       return wrapper;
+     });
+  }
+
+  return __cachedContract__(value, JSON.stringify(type), () => {
+     const proxy = new Proxy(value, {
+       get(target, key) {
+         const member = Reflect.get(target, key);
+         if (typeof key !== 'string' || key.startsWith('__') || !Object.prototype.hasOwnProperty.call(type, key)) return member;
+         return __wrapContract__(member, type[key], name + '.' + key);
+       }
+     });
+     __TPJS_CONTRACT_TARGETS__.set(proxy, value);
+     return proxy;
+  });
+}
+
+function __readonlyType__(type) {
+  if (!type || typeof type !== 'object') return null;
+  if (type.kind === 'readonlyArray') return type;
+  if (type.kind === 'tuple') return type.readonly ? type : null;
+  if (type.kind === 'optional') return __readonlyType__(type.type);
+  if (type.kind === 'union') {
+     const members = type.types.map(__readonlyType__).filter(Boolean);
+     return members.length === 1 ? members[0] : null;
+  }
+  if (type.kind) return null;
+  const own = Object.values(type.__meta || {}).some(meta => meta.readonly) || (type.__indexSignature && type.__indexSignature.readonly);
+  return own || Object.keys(type).some(k => !k.startsWith('__') && __readonlyType__(type[k])) ? type : null;
+}
+
+const __TPJS_READONLY_TARGETS__ = new WeakMap();
+const __TPJS_ARRAY_MUTATORS__ = ['copyWithin', 'fill', 'pop', 'push', 'reverse', 'shift', 'sort', 'splice', 'unshift'];
+
+// Proxy a value declared with readonly parts so writes to readonly properties,
+// ReadonlyArray elements and readonly tuples are reported, naming the type that
+// declared them. Development still lets the write through. Members read from
+// the proxy are wrapped for their own readonly parts.
+function __wrapReadonly__(value, declared, name) {
+  const type = __readonlyType__(declared);
+  if (!type || value === null || typeof value !== 'object') return value;
+  const isArray = type.kind === 'readonlyArray' || type.kind === 'tuple';
+  if (isArray && !Array.isArray(value)) return value;
+  // Rewrapping for another binding replaces the readonly view instead of stacking them
+  value = __TPJS_READONLY_TARGETS__.get(value) || value;
+
+  return __cachedContract__(value, 'readonly ' + JSON.stringify(type), () => {
+     const proxy = __readonlyProxy__(value, type, name, isArray);
+     __TPJS_READONLY_TARGETS__.set(proxy, value);
+     return proxy;
+  });
+}
+
+// A proxy must return non-writable, non-configurable properties as they are
+function __isFrozenMember__(target, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(target, key);
+  return !!descriptor && !descriptor.configurable && !descriptor.writable;
+}
+
+function __readonlyProxy__(value, type, name, isArray) {
+  if (isArray) {
+    const declaredOn = (type.kind === 'tuple' ? 'readonly ' : '') + typeToString(type);
+    const isIndex = key => typeof key === 'string' && /^\\d+$/.test(key);
+    const element = key => name + (isIndex(key) ? '[' + key + ']' : '.' + key);
+    const reject = (action, key) => {
+      if (typeof key !== 'string') return;
+      __reportTypeError__('Cannot ' + action + ' ' + element(key) + ', a read-only ' + (isIndex(key) ? 'element' : 'property') + ' of ' + declaredOn);
+    };
+    return new Proxy(value, {
+      get(target, key) {
+        const member = Reflect.get(target, key);
+        if (__TPJS_ARRAY_MUTATORS__.includes(key)) {
+          return function (...args) {
+            __reportTypeError__('Cannot call ' + name + '.' + key + '() on ' + declaredOn);
+            return member.apply(target, args);
+          };
+        }
+        if (!isIndex(key) || __isFrozenMember__(target, key)) return member;
+        const elementType = type.kind === 'readonlyArray' ? type.elementType : type.elements[key];
+        const unwrapped = elementType && (elementType.kind === 'labeled' || elementType.kind === 'optionalElement') ? elementType.type : elementType;
+        return __wrapReadonly__(member, unwrapped, element(key));
+      },
+      set(target, key, next) {
+        reject('assign to', key);
+        return Reflect.set(target, key, next);
+      },
+      defineProperty(target, key, descriptor) {
+        reject('assign to', key);
+        return Reflect.defineProperty(target, key, descriptor);
+      },
+      deleteProperty(target, key) {
+        reject('delete', key);
+        return Reflect.deleteProperty(target, key);
+      }
+    });
+  }
+
+  const readonlyMeta = key => {
+    if (typeof key !== 'string') return null;
+    if (Object.prototype.hasOwnProperty.call(type, key)) return type.__meta && type.__meta[key] && type.__meta[key].readonly ? type.__meta[key] : null;
+    return type.__indexSignature && type.__indexSignature.readonly ? type.__indexSignature : null;
+  };
+  const reject = (action, key) => {
+    const meta = readonlyMeta(key);
+    if (meta) __reportTypeError__('Cannot ' + action + ' ' + name + '.' + key + ', a read-only property of ' + (meta.declaredOn || typeToString(type)));
+  };
+  return new Proxy(value, {
+    get(target, key) {
+      const member = Reflect.get(target, key);
+      if (typeof key !== 'string' || key.startsWith('__') || __isFrozenMember__(target, key)) return member;
+      const memberType = Object.prototype.hasOwnProperty.call(type, key) ? type[key] : type.__indexSignature && type.__indexSignature.valueType;
+      return __wrapReadonly__(member, memberType, name + '.' + key);
+    },
+    set(target, key, next) {
+      reject('assign to', key);
+      return Reflect.set(target, key, next);
+    },
+    defineProperty(target, key, descriptor) {
+      reject('assign to', key);
+      return Reflect.defineProperty(target, key, descriptor);
+    },
+    deleteProperty(target, key) {
+      reject('delete', key);
+      return Reflect.deleteProperty(target, key);
+    }
+  });
+}
+
+// Turn a readonly class field into an accessor once it is initialized, so
+// later writes are reported. Development still lets the write through.
+function __defineReadonly__(target, key, owner, name) {
+  let value = target[key];
+  Object.defineProperty(target, key, {
+     get() { return value; },
+     set(next) {
+       __reportTypeError__('Cannot assign to ' + name + ', a read-only property of ' + owner);
+       value = next;
+     },
+     enumerable: true,
+     configurable: true
+  });
+}
+
 function __checkUnion__(value, type) {
   return type.types.some(member => __matchesType__(value, member));
 }
 
-function __matchesType__(value, type) {
+function __matchesType__(value, type, seen) {
   if (!type) return true;
   if (typeof type === 'string') {
       if (type === 'any' || type === 'unknown') return true;
@@ -317,65 +1591,86 @@ function __matchesType__(value, type) {
       if (type === 'undefined') return value === undefined;
       if (type === 'object') return typeof value === 'object' && value !== null;
       if (type === 'array') return Array.isArray(value);
-      return typeof value === type;
+      if (['string', 'number', 'boolean', 'bigint', 'symbol', 'function'].includes(type)) return typeof value === type;
+      // Type parameters and other names that are not checked at runtime
+      return true;
   }
   if (type.kind === 'literal') return value === type.value;
+  if (type.kind === 'ref') {
+     const key = __typeRefKey__(type);
+     const target = __TPJS_TYPES__[key];
+     if (target === undefined) return true;
+     // A value already being checked against this type is assumed to match,
+     // so cyclic data terminates
+     seen = seen || new Map();
+     const checking = seen.get(value) || new Set();
+     if (checking.has(key)) return true;
+     seen.set(value, checking.add(key));
+     const matches = __matchesType__(value, target, seen);
+     checking.delete(key);
+     return matches;
+  }
   if (type.kind === 'optional') {
      if (value === undefined) return true;
-     return __matchesType__(value, type.type);
+     return __matchesType__(value, type.type, seen);
   }
-  if (type.kind === 'union') return type.types.some(t => __matchesType__(value, t));
-  if (type.kind === 'intersection') return type.types.every(t => __matchesType__(value, t));
+  if (type.kind === 'union') return type.types.some(t => __matchesType__(value, t, seen));
+  if (type.kind === 'intersection') return type.types.every(t => __matchesType__(value, t, seen));
   if (typeof type === 'object' && type !== null && !Array.isArray(type) && !type.kind) {
      if (typeof value !== 'object' || value === null) return false;
      return Object.entries(type)
        .filter(([k]) => !k.startsWith('__'))
-       .every(([k, t]) => __matchesType__(value[k], t));
+       .every(([k, t]) => __matchesType__(value[k], t, seen));
   }
   if (type.kind === 'object') {
      if (typeof value !== 'object' || value === null) return false;
      if (!type.properties) return true;
-     return Object.entries(type.properties).every(([k, t]) => __matchesType__(value[k], t));
+     return Object.entries(type.properties).every(([k, t]) => __matchesType__(value[k], t, seen));
   }
   if (type.kind === 'enumRef') {
      return Object.values(type.values || {}).includes(value);
   }
   if (type.kind === 'array') {
      if (!Array.isArray(value)) return false;
-     return value.every(v => __matchesType__(v, type.elementType));
+     return value.every(v => __matchesType__(v, type.elementType, seen));
   }
   if (type.kind === 'readonlyArray') {
      if (!Array.isArray(value)) return false;
-     return value.every(v => __matchesType__(v, type.elementType));
+     return value.every(v => __matchesType__(v, type.elementType, seen));
   }
   if (type.kind === 'tuple') {
      if (!Array.isArray(value)) return false;
      return (type.elements || []).every((el, i) => {
-        if (el?.kind === 'rest') return value.slice(i).every(v => __matchesType__(v, el.type));
+        if (el?.kind === 'rest') return value.slice(i).every(v => __matchesType__(v, el.type, seen));
         const elemType = el?.type || el;
         if (el?.kind === 'optionalElement' || el?.optional) {
            if (value.length <= i) return true;
-           return __matchesType__(value[i], elemType);
+           return __matchesType__(value[i], elemType, seen);
         }
-        return __matchesType__(value[i], elemType);
+        return __matchesType__(value[i], elemType, seen);
      });
   }
   if (type.kind === 'record') {
      if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
-     return Object.values(value).every(v => __matchesType__(v, type.valueType));
+     return Object.values(value).every(v => __matchesType__(v, type.valueType, seen));
   }
   if (type.kind === 'map') {
      if (!(value instanceof Map)) return false;
      for (const [k, v] of value.entries()) {
-       if (!__matchesType__(k, type.keyType)) return false;
-       if (!__matchesType__(v, type.valueType)) return false;
+       if (!__matchesType__(k, type.keyType, seen)) return false;
+       if (!__matchesType__(v, type.valueType, seen)) return false;
      }
      return true;
   }
+  if (type.kind === 'promise') return __isThenable__(value);
+  if (type.kind === 'instance') return __isInstance__(value, type.name);
+  if (type.kind === 'function' || type.kind === 'method' || type.kind === 'constructor') {
+     return typeof value === 'function' || (!!type.optional && value === undefined);
+  }
   if (type.kind === 'set') {
      if (!(value instanceof Set)) return false;
      for (const v of value.values()) {
-       if (!__matchesType__(v, type.elementType)) return false;
+       if (!__matchesType__(v, type.elementType, seen)) return false;
      }
      return true;
   }
@@ -394,5 +1689,13 @@ function __valueStr__(value) {
 // ===== End TypedJS Runtime Helpers =====
 `;
 
-  return `${helpers}\n${enumDefs}\n${transformed}`;
+  const preamble = `${helpers}\n${enumDefs}\n`;
+  const code = preamble + transformed;
+  if (!options.sourceMap) return code;
+
+  // Shift mappings down past the helpers and enum objects prepended above the user code
+  const map = mapPreamble(generated.map.toJSON(), preamble);
+  if (options.file) map.file = options.file;
+
+  return { code, map };
 }
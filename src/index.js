@@ -0,0 +1,141 @@
+// src/index.js - Programmatic API: compile, check and run .tjs code without the CLI
+
+import fs from "fs";
+import path from "path";
+import { register } from "module";
+import { pathToFileURL } from "url";
+import { MessageChannel } from "worker_threads";
+import { parseCode } from "./parser/parser.js";
+import { generate, inlineSourceMapComment } from "./generator/generator.js";
+import { staticDiagnostics, checkSource } from "./check/check.js";
+import { formatDiagnostic } from "./analyzer/reporter.js";
+import { loadConfig, modeForFile, blocksOnStaticErrors } from "./config/config.js";
+
+export { loadConfig } from "./config/config.js";
+
+// The loader hooks are registered once, on the first run(), and receive the
+// entry and options of each run over this port
+let hooksPort = null;
+
+function configureHooks(options) {
+  if (!hooksPort) {
+    const { port1, port2 } = new MessageChannel();
+    register('./loader/hooks.js', import.meta.url, { data: { port: port2 }, transferList: [port2] });
+    hooksPort = port1;
+  }
+  // Wait for the hooks to apply the options before the entry is imported
+  return new Promise(resolve => {
+    hooksPort.ref();
+    hooksPort.once('message', () => {
+      hooksPort.unref();
+      resolve();
+    });
+    hooksPort.postMessage(options);
+  });
+}
+
+/**
+ * Project configuration for a call: `options.config` if given, otherwise the
+ * nearest config above `filename` (or the working directory).
+ */
+function configFor(options) {
+  if (options.config) return options.config;
+  return loadConfig(options.filename ? path.dirname(path.resolve(options.filename)) : process.cwd());
+}
+
+function staticSeverity(config) {
+  return config.reporting.staticErrors === 'warn' ? 'warning' : 'error';
+}
+
+/**
+ * Compile TypedJS source to JavaScript with runtime checks for `mode`.
+ *
+ * Options: `mode` (defaults to the configured mode for `filename`),
+ * `filename` (recorded in the source map and used for config overrides),
+ * `sourceMap` (default true; `map` is null when false), `checkedCasts`
+ * (check `expr as T` casts at runtime), `enforceReadonly` (report writes to
+ * readonly properties and arrays outside production), both defaulting to the
+ * configured value, and `config`.
+ * Throws on syntax errors; static type errors are returned as `diagnostics`
+ * (see src/analyzer/diagnostics.js for their shape).
+ *
+ * @returns {{ code: string, map: object|null, diagnostics: object[], typeRegistry: object }}
+ */
+export function compile(source, options = {}) {
+  const config = configFor(options);
+  const mode = options.mode ?? (options.filename ? modeForFile(config, options.filename) : config.mode);
+
+  const { ast, typeRegistry } = parseCode(source);
+  const diagnostics = staticDiagnostics(typeRegistry, ast, {
+    staticSeverity: staticSeverity(config),
+    file: options.filename ?? null
+  });
+
+  const checkedCasts = options.checkedCasts ?? config.checkedCasts;
+  const enforceReadonly = options.enforceReadonly ?? config.enforceReadonly;
+
+  if (options.sourceMap === false) {
+    return { code: generate(ast, typeRegistry, mode, { checkedCasts, enforceReadonly }), map: null, diagnostics, typeRegistry };
+  }
+
+  const { code, map } = generate(ast, typeRegistry, mode, {
+    sourceMap: true,
+    sourceFile: options.filename ?? 'input.tjs',
+    sourceContent: source,
+    checkedCasts,
+    enforceReadonly
+  });
+  return { code, map, diagnostics, typeRegistry };
+}
+
+/**
+ * Statically analyze TypedJS source without executing it.
+ * Syntax errors are reported as diagnostics rather than thrown.
+ *
+ * @returns {{ diagnostics: object[], errorCount: number }}
+ */
+export function check(source, options = {}) {
+  const diagnostics = checkSource(source, {
+    staticSeverity: staticSeverity(configFor(options)),
+    file: options.filename ?? null
+  });
+  return { diagnostics, errorCount: diagnostics.filter(d => d.severity === 'error').length };
+}
+
+/**
+ * Compile and import a .tjs file, resolving to its module namespace.
+ * Any .tjs modules it imports are compiled on demand through the loader hooks.
+ * Rejects when static errors should block execution for the file's mode.
+ * Like any import, a file that already ran is not executed again.
+ */
+export async function run(file, options = {}) {
+  const filePath = path.resolve(file);
+  const config = options.config ?? loadConfig(path.dirname(filePath));
+  const mode = options.mode ?? modeForFile(config, filePath);
+  const source = fs.readFileSync(filePath, "utf-8");
+  const url = pathToFileURL(filePath).href;
+
+  const { ast, typeRegistry } = parseCode(source);
+  const diagnostics = staticDiagnostics(typeRegistry, ast, { staticSeverity: staticSeverity(config), file: filePath });
+  if (diagnostics.length > 0 && blocksOnStaticErrors(config, mode)) {
+    const details = diagnostics.map(d => `  ${formatDiagnostic(d)}`).join('\n');
+    throw new Error(`[TypedJS] Static type errors in ${filePath}:\n${details}`);
+  }
+
+  const checkedCasts = options.checkedCasts ?? config.checkedCasts;
+  const enforceReadonly = options.enforceReadonly ?? config.enforceReadonly;
+  const { code, map } = generate(ast, typeRegistry, mode, {
+    sourceMap: true, sourceFile: url, sourceContent: source, checkedCasts, enforceReadonly
+  });
+
+  process.setSourceMapsEnabled(true);
+  await configureHooks({
+    mode: options.mode,
+    checkedCasts,
+    enforceReadonly,
+    config,
+    entry: { url, source: `${code}\n${inlineSourceMapComment(map)}\n` }
+  });
+
+  return import(url);
+}
@@ -0,0 +1,92 @@
+// src/loader/hooks.js - Node ESM resolve/load hooks that compile .tjs on demand
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { parseCode } from "../parser/parser.js";
+import { staticAnalyze } from "../analyzer/analyzer.js";
+import { printDiagnostics } from "../analyzer/reporter.js";
+import { generate, inlineSourceMapComment } from "../generator/generator.js";
+import { loadConfig, modeForFile, blocksOnStaticErrors } from "../config/config.js";
+
+// An explicit mode (CLI flag or TYPEDJS_MODE) applies to every module;
+// otherwise each module's mode comes from the project configuration
+let forcedMode = null;
+let forcedCheckedCasts = false;
+let forcedEnforceReadonly = false;
+let config = null;
+let reportStatic = true;
+// Code the CLI or run() already compiled, keyed by module URL, served once from memory
+const precompiled = new Map();
+
+function isTypedJSUrl(url) {
+  return url.startsWith('file:') && new URL(url).pathname.endsWith('.tjs');
+}
+
+function configure(data) {
+  forcedMode = data?.mode ?? null;
+  forcedCheckedCasts = !!data?.checkedCasts;
+  forcedEnforceReadonly = !!data?.enforceReadonly;
+  config = data?.config ?? loadConfig(process.cwd(), data?.configPath);
+  if (data?.quiet) reportStatic = false;
+  if (data?.entry) precompiled.set(data.entry.url, data.entry.source);
+}
+
+/**
+ * Receives the options passed to module.register() from register.js or the CLI.
+ * The API registers the hooks once with a `port` instead, sending the options
+ * of each run() over it; every message is acknowledged once applied.
+ */
+export async function initialize(data) {
+  if (!data?.port) {
+    configure(data);
+    return;
+  }
+  config = loadConfig(process.cwd());
+  data.port.on('message', options => {
+    configure(options);
+    data.port.postMessage('configured');
+  });
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (isTypedJSUrl(resolved.url)) {
+    return { ...resolved, format: 'module', shortCircuit: true };
+  }
+  return resolved;
+}
+
+export async function load(url, context, nextLoad) {
+  if (precompiled.has(url)) {
+    const source = precompiled.get(url);
+    precompiled.delete(url);
+    return { format: 'module', source, shortCircuit: true };
+  }
+
+  if (!isTypedJSUrl(url)) return nextLoad(url, context);
+
+  const filePath = fileURLToPath(url);
+  const source = fs.readFileSync(filePath, "utf-8");
+  const { ast, typeRegistry } = parseCode(source);
+  const runtimeMode = forcedMode ?? modeForFile(config, filePath);
+
+  const diagnostics = staticAnalyze(typeRegistry, ast, { file: filePath });
+  if (reportStatic) printDiagnostics(diagnostics);
+  if (diagnostics.length > 0 && blocksOnStaticErrors(config, runtimeMode)) {
+    throw new Error(`[TypedJS] Static type errors in ${filePath}`);
+  }
+
+  const { code, map } = generate(ast, typeRegistry, runtimeMode, {
+    sourceMap: true,
+    sourceFile: url,
+    sourceContent: source,
+    checkedCasts: forcedCheckedCasts || config.checkedCasts,
+    enforceReadonly: forcedEnforceReadonly || config.enforceReadonly
+  });
+
+  return {
+    format: 'module',
+    source: `${code}\n${inlineSourceMapComment(map)}\n`,
+    shortCircuit: true
+  };
+}
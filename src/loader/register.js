@@ -0,0 +1,16 @@
+// src/loader/register.js - Entry for `node --import @razinshafayet/typedjs/register app.tjs`
+
+import { register } from "module";
+
+// Map stack traces in compiled modules back to their .tjs sources
+process.setSourceMapsEnabled(true);
+
+register('./hooks.js', import.meta.url, {
+  data: {
+    mode: process.env.TYPEDJS_MODE,
+    checkedCasts: process.env.TYPEDJS_CHECKED_CASTS === '1',
+    enforceReadonly: process.env.TYPEDJS_ENFORCE_READONLY === '1',
+    configPath: process.env.TYPEDJS_CONFIG,
+    quiet: process.env.TYPEDJS_QUIET_STATIC === '1'
+  }
+});
@@ -0,0 +1,48 @@
+// src/lsp/jsonrpc.js - Content-Length framed JSON-RPC messages over streams
+
+const HEADER_END = '\r\n\r\n';
+
+/**
+ * Read framed messages from `input`, calling `onMessage` with each parsed
+ * JSON body. Headers other than Content-Length are ignored.
+ */
+export function readMessages(input, onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  input.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (true) {
+      const headerEnd = buffer.indexOf(HEADER_END);
+      if (headerEnd === -1) return;
+
+      const header = buffer.subarray(0, headerEnd).toString('ascii');
+      const match = /Content-Length: *(\d+)/i.exec(header);
+      if (!match) {
+        // Unrecoverable framing; drop what we have and wait for the next header
+        buffer = buffer.subarray(headerEnd + HEADER_END.length);
+        continue;
+      }
+
+      const bodyStart = headerEnd + HEADER_END.length;
+      const bodyEnd = bodyStart + Number(match[1]);
+      if (buffer.length < bodyEnd) return;
+
+      const body = buffer.subarray(bodyStart, bodyEnd).toString('utf8');
+      buffer = buffer.subarray(bodyEnd);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (e) {
+        console.error(`[typedjs lsp] Ignoring malformed message: ${e.message}`);
+        continue;
+      }
+      onMessage(message);
+    }
+  });
+}
+
+export function writeMessage(output, message) {
+  const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+  output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}${HEADER_END}${body}`);
+}
@@ -0,0 +1,184 @@
+// src/lsp/server.js - Language server for .tjs files (diagnostics, hover, go-to-definition)
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseCode } from "../parser/parser.js";
+import { syntaxDiagnostic } from "../analyzer/diagnostics.js";
+import { staticDiagnostics } from "../check/check.js";
+import { loadConfig } from "../config/config.js";
+import { readMessages, writeMessage } from "./jsonrpc.js";
+import { offsetAt, lspRange, hoverAt, definitionAt } from "./symbols.js";
+
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+const LSP_SEVERITY = { error: 1, warning: 2 };
+
+function filePathOf(uri) {
+  return uri.startsWith('file:') ? fileURLToPath(uri) : null;
+}
+
+function staticSeverityFor(file) {
+  try {
+    const config = loadConfig(file ? path.dirname(file) : process.cwd());
+    return config.reporting.staticErrors === 'warn' ? 'warning' : 'error';
+  } catch {
+    // An invalid config is reported by the CLI; keep editing usable meanwhile
+    return 'error';
+  }
+}
+
+// Our ranges are 1-based; LSP positions are 0-based
+function toLspRange(range) {
+  if (!range) return { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+  return {
+    start: { line: range.start.line - 1, character: range.start.column - 1 },
+    end: { line: range.end.line - 1, character: range.end.column - 1 }
+  };
+}
+
+/**
+ * Convert a TypedJS diagnostic into an LSP Diagnostic for document `uri`.
+ */
+export function toLspDiagnostic(d, uri) {
+  return {
+    range: toLspRange(d.range),
+    severity: LSP_SEVERITY[d.severity] ?? LSP_SEVERITY.error,
+    code: d.code,
+    source: 'typedjs',
+    message: d.message,
+    relatedInformation: d.related.map(r => ({
+      location: { uri, range: toLspRange(r.range) },
+      message: r.message
+    }))
+  };
+}
+
+/**
+ * Parse and analyze a document. The last successfully parsed AST is kept so
+ * hover and go-to-definition keep working while the text has syntax errors.
+ */
+function analyzeDocument(doc) {
+  const file = filePathOf(doc.uri);
+  try {
+    const { ast, typeRegistry } = parseCode(doc.text);
+    doc.ast = ast;
+    doc.typeRegistry = typeRegistry;
+    doc.diagnostics = staticDiagnostics(typeRegistry, ast, { staticSeverity: staticSeverityFor(file), file });
+  } catch (e) {
+    doc.diagnostics = [syntaxDiagnostic(e, file)];
+  }
+}
+
+/**
+ * Create a protocol handler. `send` receives outgoing messages and `exit`
+ * is called with the process exit code when the client asks to exit.
+ */
+export function createLanguageServer({ send, exit = code => process.exit(code) }) {
+  const documents = new Map();
+  let shutdownRequested = false;
+
+  function publishDiagnostics(doc) {
+    send({
+      method: 'textDocument/publishDiagnostics',
+      params: {
+        uri: doc.uri,
+        version: doc.version,
+        diagnostics: doc.diagnostics.map(d => toLspDiagnostic(d, doc.uri))
+      }
+    });
+  }
+
+  function updateDocument(uri, text, version) {
+    const doc = documents.get(uri) ?? { uri, ast: null, typeRegistry: [] };
+    Object.assign(doc, { text, version });
+    documents.set(uri, doc);
+    analyzeDocument(doc);
+    publishDiagnostics(doc);
+  }
+
+  const requests = {
+    initialize: () => ({
+      capabilities: {
+        textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+        hoverProvider: true,
+        definitionProvider: true
+      },
+      serverInfo: { name: 'typedjs' }
+    }),
+
+    shutdown: () => {
+      shutdownRequested = true;
+      return null;
+    },
+
+    'textDocument/hover': ({ textDocument, position }) => {
+      const doc = documents.get(textDocument.uri);
+      if (!doc?.ast) return null;
+      const hover = hoverAt(doc.ast, doc.typeRegistry, offsetAt(doc.text, position));
+      if (!hover) return null;
+      return {
+        contents: { kind: 'markdown', value: `\`\`\`typescript\n${hover.contents}\n\`\`\`` },
+        range: lspRange(hover.node)
+      };
+    },
+
+    'textDocument/definition': ({ textDocument, position }) => {
+      const doc = documents.get(textDocument.uri);
+      if (!doc?.ast) return null;
+      const target = definitionAt(doc.ast, offsetAt(doc.text, position));
+      return target ? { uri: doc.uri, range: lspRange(target) } : null;
+    }
+  };
+
+  const notifications = {
+    'textDocument/didOpen': ({ textDocument }) => {
+      updateDocument(textDocument.uri, textDocument.text, textDocument.version);
+    },
+
+    // Full sync: the last change holds the whole document
+    'textDocument/didChange': ({ textDocument, contentChanges }) => {
+      const change = contentChanges[contentChanges.length - 1];
+      if (change) updateDocument(textDocument.uri, change.text, textDocument.version);
+    },
+
+    'textDocument/didClose': ({ textDocument }) => {
+      documents.delete(textDocument.uri);
+      send({ method: 'textDocument/publishDiagnostics', params: { uri: textDocument.uri, diagnostics: [] } });
+    },
+
+    exit: () => exit(shutdownRequested ? 0 : 1)
+  };
+
+  function handle(message) {
+    const isRequest = message.id !== undefined;
+
+    if (!isRequest) {
+      notifications[message.method]?.(message.params ?? {});
+      return;
+    }
+
+    const handler = requests[message.method];
+    if (!handler) {
+      send({ id: message.id, error: { code: METHOD_NOT_FOUND, message: `Unhandled method ${message.method}` } });
+      return;
+    }
+
+    try {
+      send({ id: message.id, result: handler(message.params ?? {}) });
+    } catch (e) {
+      send({ id: message.id, error: { code: INTERNAL_ERROR, message: e.message } });
+    }
+  }
+
+  return { handle, documents };
+}
+
+/**
+ * Serve the protocol over stdio (or the given streams) until the client exits.
+ */
+export function startLanguageServer(input = process.stdin, output = process.stdout) {
+  const server = createLanguageServer({ send: message => writeMessage(output, message) });
+  readMessages(input, server.handle);
+  return server;
+}
@@ -0,0 +1,173 @@
+// src/lsp/symbols.js - Hover and go-to-definition lookups over a parsed .tjs module
+
+import { walk } from 'estree-walker';
+import { tsTypeToString } from "../parser/parser.js";
+import { typeToString } from "../analyzer/analyzer.js";
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+const TYPE_DECLARATIONS = {
+  TSInterfaceDeclaration: 'interface',
+  TSTypeAliasDeclaration: 'typeAlias',
+  TSEnumDeclaration: 'enum'
+};
+
+/**
+ * Convert an LSP position (0-based line and UTF-16 character) into a string offset.
+ */
+export function offsetAt(text, { line, character }) {
+  let offset = 0;
+  for (let i = 0; i < line; i++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) return text.length;
+    offset = next + 1;
+  }
+  return Math.min(offset + character, text.length);
+}
+
+// acorn-typescript records a wrong end offset for annotated identifiers,
+// so identifiers are measured by their name instead
+function identifierEnd(node) {
+  return node.start + node.name.length;
+}
+
+/**
+ * LSP range (0-based) for an AST node with acorn locations.
+ */
+export function lspRange(node) {
+  const start = { line: node.loc.start.line - 1, character: node.loc.start.column };
+  if (node.type === 'Identifier') {
+    return { start, end: { line: start.line, character: start.character + node.name.length } };
+  }
+  return { start, end: { line: node.loc.end.line - 1, character: node.loc.end.column } };
+}
+
+/**
+ * The innermost identifier covering `offset`, with the functions enclosing it
+ * (outermost first).
+ */
+function identifierAt(ast, offset) {
+  let found = null;
+  const functions = [];
+
+  walk(ast, {
+    enter(node) {
+      if (node.type === 'Identifier') {
+        if (node.start <= offset && offset <= identifierEnd(node)) found = { node, functions: [...functions] };
+        return;
+      }
+      if (node.start > offset || node.end < offset) {
+        this.skip();
+        return;
+      }
+      if (FUNCTION_TYPES.has(node.type)) functions.push(node);
+    },
+    leave(node) {
+      if (functions[functions.length - 1] === node) functions.pop();
+    }
+  });
+
+  return found;
+}
+
+function paramName(param) {
+  if (param.type === 'Identifier') return param.name;
+  if (param.type === 'AssignmentPattern') return paramName(param.left);
+  if (param.type === 'RestElement') return paramName(param.argument);
+  if (param.type === 'TSParameterProperty') return paramName(param.parameter);
+  return null;
+}
+
+function paramAnnotation(param) {
+  if (param.type === 'AssignmentPattern') return param.left.typeAnnotation ?? param.typeAnnotation;
+  if (param.type === 'TSParameterProperty') return paramAnnotation(param.parameter);
+  return param.typeAnnotation;
+}
+
+function formatParams(params) {
+  return params.map(p => `${p.name}${p.optional ? '?' : ''}: ${typeToString(p.type)}`).join(', ');
+}
+
+function describeEntry(entry) {
+  switch (entry.kind) {
+    case 'variable':
+      return `${entry.isConst ? 'const' : 'let'} ${entry.name}: ${typeToString(entry.type)}`;
+    case 'function':
+      return `function ${entry.name}(${formatParams(entry.params)}): ${typeToString(entry.returnType)}`;
+    case 'interface':
+      return `interface ${entry.name} ${typeToString(entry.shape)}`;
+    case 'typeAlias':
+      return `type ${entry.name} = ${typeToString(entry.type)}`;
+    case 'enum':
+      return `enum ${entry.name} { ${Object.entries(entry.members).map(([k, v]) => `${k} = ${JSON.stringify(v)}`).join(', ')} }`;
+    case 'class':
+      return `class ${entry.name}${entry.extends ? ` extends ${entry.extends}` : ''}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe the parameter `name` of the innermost enclosing function that
+ * declares it, preferring the registry's resolved type for named functions.
+ */
+function describeParameter(name, functions, typeRegistry) {
+  for (let i = functions.length - 1; i >= 0; i--) {
+    const fn = functions[i];
+    const param = fn.params.find(p => paramName(p) === name);
+    if (!param) continue;
+
+    const entry = fn.id && typeRegistry.find(e => e.kind === 'function' && e.name === fn.id.name);
+    const registered = entry?.params.find(p => p.name === name || p.name === `...${name}`);
+    const annotation = paramAnnotation(param);
+    if (!registered && !annotation) return null;
+
+    const type = registered ? registered.type : tsTypeToString(annotation.typeAnnotation, typeRegistry);
+    return `(parameter) ${name}: ${typeToString(type)}`;
+  }
+  return null;
+}
+
+/**
+ * Hover text for the identifier at `offset`: the resolved type of a parameter,
+ * variable, function, interface, type alias, enum or class. Returns
+ * `{ contents, node }` or null when there is nothing typed to show.
+ */
+export function hoverAt(ast, typeRegistry, offset) {
+  const found = identifierAt(ast, offset);
+  if (!found) return null;
+  const { node, functions } = found;
+
+  const contents = describeParameter(node.name, functions, typeRegistry) ??
+    typeRegistry
+      .filter(e => e.name === node.name)
+      .map(describeEntry)
+      .find(Boolean);
+
+  return contents ? { contents, node } : null;
+}
+
+/**
+ * Declarations of interfaces, type aliases and enums in a module, by name.
+ */
+export function findTypeDeclarations(ast) {
+  const declarations = new Map();
+  walk(ast, {
+    enter(node) {
+      if (TYPE_DECLARATIONS[node.type] && !declarations.has(node.id.name)) {
+        declarations.set(node.id.name, { kind: TYPE_DECLARATIONS[node.type], node: node.id });
+      }
+    }
+  });
+  return declarations;
+}
+
+/**
+ * The declaration identifier of the interface, type alias or enum named at
+ * `offset`, or null.
+ */
+export function definitionAt(ast, offset) {
+  const found = identifierAt(ast, offset);
+  if (!found) return null;
+  return findTypeDeclarations(ast).get(found.node.name)?.node ?? null;
+}
@@ -0,0 +1,102 @@
+// src/parser/generics.js - Instantiate generic type aliases and interfaces with their type arguments
+
+import { evaluateUtilityType } from "./utility-types.js";
+
+// Keys of kinded types that hold names or values rather than types
+const NON_TYPE_KEYS = new Set(['kind', 'name', 'value', 'label', 'quasis', 'expression', 'argument', 'qualifier', 'values']);
+
+/**
+ * Bind each declared type parameter to its argument. Omitted arguments fall
+ * back to the parameter's default, then its constraint, then `unknown`.
+ * Defaults may refer to earlier parameters (`<T, U = T[]>`).
+ */
+export function bindTypeParams(typeParams = [], typeArgs = []) {
+  const bindings = new Map();
+  typeParams.forEach((param, i) => {
+    let bound = typeArgs[i];
+    if (bound === undefined && param.default != null) bound = substituteTypeParams(param.default, bindings);
+    if (bound === undefined && param.constraint != null) bound = substituteTypeParams(param.constraint, bindings);
+    bindings.set(param.name, bound ?? 'unknown');
+  });
+  return bindings;
+}
+
+function withoutShadowed(bindings, names) {
+  if (!names.some(name => bindings.has(name))) return bindings;
+  const inner = new Map(bindings);
+  names.forEach(name => inner.delete(name));
+  return inner;
+}
+
+/**
+ * Replace references to type parameters inside a parsed type. Type
+ * parameters appear as bare names (e.g. 'T') because they never resolve to a
+ * registered type. Literal values, property names and labels are left alone,
+ * and parameters redeclared by nested generic function types or mapped types
+ * shadow the outer ones. Utility types whose operands become known are
+ * evaluated on the way out.
+ */
+export function substituteTypeParams(type, bindings) {
+  if (bindings.size === 0 || type == null) return type;
+
+  if (typeof type === 'string') return bindings.has(type) ? bindings.get(type) : type;
+  if (Array.isArray(type)) return type.map(t => substituteTypeParams(t, bindings));
+  if (typeof type !== 'object') return type;
+
+  // Object shapes: every key except metadata is a property name mapped to a type
+  if (!type.kind) {
+    const shape = {};
+    for (const [key, value] of Object.entries(type)) {
+      shape[key] = key === '__meta' || key === '__extends' ? value : substituteTypeParams(value, bindings);
+    }
+    return shape;
+  }
+
+  if (type.kind === 'literal' || type.kind === 'enumRef') return type;
+
+  let scope = bindings;
+  if (type.kind === 'function' && type.typeParams?.length > 0) {
+    scope = withoutShadowed(bindings, type.typeParams.map(p => p.name));
+  } else if (type.kind === 'mapped') {
+    scope = withoutShadowed(bindings, [type.keyName]);
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(type)) {
+    if (NON_TYPE_KEYS.has(key) || key === 'typeParams') {
+      result[key] = value;
+    } else if (key === 'params') {
+      result[key] = value.map(p => ({ ...p, type: substituteTypeParams(p.type, scope) }));
+    } else {
+      result[key] = substituteTypeParams(value, scope);
+    }
+  }
+  return evaluateUtilityType(result);
+}
+
+/**
+ * The body of a generic alias or interface entry with its parameters replaced
+ * by `typeArgs`, or the body unchanged when it declares no parameters.
+ */
+export function instantiateGeneric(entry, typeArgs = []) {
+  const body = entry.kind === 'interface' ? entry.shape : entry.type;
+  if (!entry.typeParams?.length) return entry.kind === 'interface' ? { ...body } : body;
+  return substituteTypeParams(body, bindTypeParams(entry.typeParams, typeArgs));
+}
+
+/**
+ * Type table key of a lazy `{ kind: 'ref' }` reference to a recursive type.
+ * The runtime helpers compute the same key.
+ */
+export function typeRefKey(ref) {
+  return ref.typeArgs?.length > 0 ? ref.name + JSON.stringify(ref.typeArgs) : ref.name;
+}
+
+/**
+ * The type a lazy ref stands for, one level deep (refs inside it stay lazy),
+ * or null when the name is not a registered interface or type alias.
+ */
+export function resolveTypeRef(ref, registry) {
+  const entry = registry.find(e => (e.kind === 'interface' || e.kind === 'typeAlias') && e.name === ref.name);
+  return entry ? instantiateGeneric(entry, ref.typeArgs) : null;
+}
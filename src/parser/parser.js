@@ -3,6 +3,15 @@
 import { Parser } from "acorn";
 import ts from "acorn-typescript";
 import { walk } from 'estree-walker';
+import { instantiateGeneric } from "./generics.js";
+import { evaluateUtilityType } from "./utility-types.js";
+
+// A rest element records the type of each remaining element, as
+// Parameters<F> does: `...string[]` becomes `{ kind: 'rest', type: 'string' }`
+function restElement(typeNode, registry) {
+  const type = tsTypeToString(typeNode.typeAnnotation, registry);
+  return { kind: 'rest', type: type?.kind === 'array' ? type.elementType : type };
+}
 
 /**
  * Convert a TypeScript AST type node into structured representation
@@ -11,7 +20,7 @@ import { walk } from 'estree-walker';
  * function types, constructor types, conditional types, mapped types,
  * keyof, typeof, indexed access, template literals
  */
-function tsTypeToString(typeNode, registry = []) {
+export function tsTypeToString(typeNode, registry = []) {
   if (!typeNode) return "unknown";
 
   switch (typeNode.type) {
@@ -80,60 +89,75 @@ function tsTypeToString(typeNode, registry = []) {
 
       // Utility types
       if (refName === 'Partial' && typeNode.typeParameters?.params?.length > 0) {
-        return { kind: 'partial', type: tsTypeToString(typeNode.typeParameters.params[0], registry) };
+        return evaluateUtilityType({ kind: 'partial', type: tsTypeToString(typeNode.typeParameters.params[0], registry) });
       }
       if (refName === 'Required' && typeNode.typeParameters?.params?.length > 0) {
-        return { kind: 'required', type: tsTypeToString(typeNode.typeParameters.params[0], registry) };
+        return evaluateUtilityType({ kind: 'required', type: tsTypeToString(typeNode.typeParameters.params[0], registry) });
       }
       if (refName === 'Readonly' && typeNode.typeParameters?.params?.length > 0) {
-        return { kind: 'readonly', type: tsTypeToString(typeNode.typeParameters.params[0], registry) };
+        return evaluateUtilityType({ kind: 'readonly', type: tsTypeToString(typeNode.typeParameters.params[0], registry) });
       }
       if (refName === 'Pick' && typeNode.typeParameters?.params?.length === 2) {
-        return { kind: 'pick', type: tsTypeToString(typeNode.typeParameters.params[0], registry), keys: tsTypeToString(typeNode.typeParameters.params[1], registry) };
+        return evaluateUtilityType({ kind: 'pick', type: tsTypeToString(typeNode.typeParameters.params[0], registry), keys: tsTypeToString(typeNode.typeParameters.params[1], registry) });
       }
       if (refName === 'Omit' && typeNode.typeParameters?.params?.length === 2) {
-        return { kind: 'omit', type: tsTypeToString(typeNode.typeParameters.params[0], registry), keys: tsTypeToString(typeNode.typeParameters.params[1], registry) };
+        return evaluateUtilityType({ kind: 'omit', type: tsTypeToString(typeNode.typeParameters.params[0], registry), keys: tsTypeToString(typeNode.typeParameters.params[1], registry) });
       }
       if (refName === 'Record' && typeNode.typeParameters?.params?.length === 2) {
         return { kind: 'record', keyType: tsTypeToString(typeNode.typeParameters.params[0], registry), valueType: tsTypeToString(typeNode.typeParameters.params[1], registry) };
       }
       if (refName === 'Exclude' && typeNode.typeParameters?.params?.length === 2) {
-        return { kind: 'exclude', type: tsTypeToString(typeNode.typeParameters.params[0], registry), excluded: tsTypeToString(typeNode.typeParameters.params[1], registry) };
+        return evaluateUtilityType({ kind: 'exclude', type: tsTypeToString(typeNode.typeParameters.params[0], registry), excluded: tsTypeToString(typeNode.typeParameters.params[1], registry) });
       }
       if (refName === 'Extract' && typeNode.typeParameters?.params?.length === 2) {
-        return { kind: 'extract', type: tsTypeToString(typeNode.typeParameters.params[0], registry), extracted: tsTypeToString(typeNode.typeParameters.params[1], registry) };
+        return evaluateUtilityType({ kind: 'extract', type: tsTypeToString(typeNode.typeParameters.params[0], registry), extracted: tsTypeToString(typeNode.typeParameters.params[1], registry) });
       }
       if (refName === 'NonNullable' && typeNode.typeParameters?.params?.length > 0) {
-        return { kind: 'nonNullable', type: tsTypeToString(typeNode.typeParameters.params[0], registry) };
+        return evaluateUtilityType({ kind: 'nonNullable', type: tsTypeToString(typeNode.typeParameters.params[0], registry) });
       }
       if (refName === 'ReturnType' && typeNode.typeParameters?.params?.length > 0) {
-        return { kind: 'returnType', type: tsTypeToString(typeNode.typeParameters.params[0], registry) };
+        return evaluateUtilityType({ kind: 'returnType', type: functionTypeOf(tsTypeToString(typeNode.typeParameters.params[0], registry), registry) });
       }
       if (refName === 'Parameters' && typeNode.typeParameters?.params?.length > 0) {
-        return { kind: 'parameters', type: tsTypeToString(typeNode.typeParameters.params[0], registry) };
+        return evaluateUtilityType({ kind: 'parameters', type: functionTypeOf(tsTypeToString(typeNode.typeParameters.params[0], registry), registry) });
       }
       if (refName === 'Awaited' && typeNode.typeParameters?.params?.length > 0) {
-        return { kind: 'awaited', type: tsTypeToString(typeNode.typeParameters.params[0], registry) };
+        return evaluateUtilityType({ kind: 'awaited', type: tsTypeToString(typeNode.typeParameters.params[0], registry) });
+      }
+
+      const typeArgs = typeNode.typeParameters?.params?.map(p => tsTypeToString(p, registry)) || [];
+
+      // A type that is still being declared refers to itself, directly or
+      // through other declarations: keep a lazy reference into the type table
+      if (pendingDeclarations.get(registry)?.resolving.has(refName)) {
+        return typeArgs.length > 0 ? { kind: 'ref', name: refName, typeArgs } : { kind: 'ref', name: refName };
+      }
+
+      const iface = findNamedType(registry, 'interface', refName);
+      const typeAlias = iface ? null : findNamedType(registry, 'typeAlias', refName);
+
+      // Classes and built-in constructors are checked with instanceof
+      const generic = iface ?? typeAlias;
+      if (!generic && (BUILTIN_CLASSES.has(refName) || isDeclaredClass(registry, refName))) {
+        return { kind: 'instance', name: refName };
+      }
+
+      // Generic interface or type alias: expand with the arguments substituted
+      if (generic?.typeParams && typeArgs.length <= generic.typeParams.length) {
+        return instantiateGeneric(generic, typeArgs);
       }
 
       // Generic type with parameters
-      if (typeNode.typeParameters?.params?.length > 0) {
-        return {
-          kind: 'generic',
-          name: refName,
-          typeArgs: typeNode.typeParameters.params.map(p => tsTypeToString(p, registry))
-        };
+      if (typeArgs.length > 0) {
+        return { kind: 'generic', name: refName, typeArgs };
       }
 
       // Check if it's a registered interface or type alias
-      const iface = registry.find(e => e.kind === 'interface' && e.name === refName);
       if (iface) return { ...iface.shape };
-
-      const typeAlias = registry.find(e => e.kind === 'typeAlias' && e.name === refName);
       if (typeAlias) return typeAlias.type;
 
       // Check if it's an enum
-      const enumDef = registry.find(e => e.kind === 'enum' && e.name === refName);
+      const enumDef = findNamedType(registry, 'enum', refName);
       if (enumDef) return { kind: 'enumRef', name: refName, values: enumDef.members };
 
       return refName;
@@ -168,28 +192,20 @@ function tsTypeToString(typeNode, registry = []) {
           const keyType = tsTypeToString(indexParam.typeAnnotation?.typeAnnotation, registry);
           const valueType = tsTypeToString(m.typeAnnotation?.typeAnnotation, registry);
           shape.__indexSignature = { keyType, valueType };
+          if (m.readonly) shape.__indexSignature.readonly = true;
         } else if (m.type === 'TSCallSignatureDeclaration') {
           // Callable: { (x: number): string }
-          const params = m.params?.map(p => ({
-            name: p.name,
-            type: tsTypeToString(p.typeAnnotation?.typeAnnotation, registry)
-          })) || [];
+          const params = signatureParams(m, registry);
           const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, registry);
           shape.__callSignature = { params, returnType };
         } else if (m.type === 'TSConstructSignatureDeclaration') {
           // Constructor: { new (x: number): Foo }
-          const params = m.params?.map(p => ({
-            name: p.name,
-            type: tsTypeToString(p.typeAnnotation?.typeAnnotation, registry)
-          })) || [];
+          const params = signatureParams(m, registry);
           const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, registry);
           shape.__constructSignature = { params, returnType };
         } else if (m.type === 'TSMethodSignature') {
           const name = m.key.name || m.key.value;
-          const params = m.params?.map(p => ({
-            name: p.name,
-            type: tsTypeToString(p.typeAnnotation?.typeAnnotation, registry)
-          })) || [];
+          const params = signatureParams(m, registry);
           const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, registry);
           shape[name] = { kind: 'method', params, returnType };
         }
@@ -214,12 +230,7 @@ function tsTypeToString(typeNode, registry = []) {
           };
         }
         // Check for rest element
-        if (et.type === 'TSRestType') {
-          return {
-            kind: 'rest',
-            type: tsTypeToString(et.typeAnnotation, registry)
-          };
-        }
+        if (et.type === 'TSRestType') return restElement(et, registry);
         // Check for optional element
         if (et.type === 'TSOptionalType') {
           return {
@@ -249,15 +260,7 @@ function tsTypeToString(typeNode, registry = []) {
         default: tp.default ? tsTypeToString(tp.default, registry) : null
       })) || [];
 
-      const params = typeNode.params?.map(p => {
-        const paramName = p.type === 'Identifier' ? p.name :
-          (p.type === 'RestElement' ? '...' + p.argument.name : 'param');
-        return {
-          name: paramName,
-          type: tsTypeToString(p.typeAnnotation?.typeAnnotation, registry),
-          optional: !!p.optional
-        };
-      }) || [];
+      const params = signatureParams(typeNode, registry);
 
       const returnType = tsTypeToString(typeNode.typeAnnotation?.typeAnnotation, registry);
 
@@ -266,10 +269,7 @@ function tsTypeToString(typeNode, registry = []) {
 
     // ===== Constructor Types =====
     case "TSConstructorType": {
-      const params = typeNode.params?.map(p => ({
-        name: p.name,
-        type: tsTypeToString(p.typeAnnotation?.typeAnnotation, registry)
-      })) || [];
+      const params = signatureParams(typeNode, registry);
       const returnType = tsTypeToString(typeNode.typeAnnotation?.typeAnnotation, registry);
 
       return { kind: 'constructor', params, returnType };
@@ -291,7 +291,7 @@ function tsTypeToString(typeNode, registry = []) {
         if (innerType.kind === 'array') {
           return { kind: 'readonlyArray', elementType: innerType.elementType };
         }
-        return { kind: 'readonly', type: innerType };
+        return evaluateUtilityType({ kind: 'readonly', type: innerType });
       }
       return "unknown";
 
@@ -353,7 +353,7 @@ function tsTypeToString(typeNode, registry = []) {
 
     // ===== Rest Type =====
     case "TSRestType":
-      return { kind: 'rest', type: tsTypeToString(typeNode.typeAnnotation, registry) };
+      return restElement(typeNode, registry);
 
     // ===== Optional Type =====
     case "TSOptionalType":
@@ -363,6 +363,15 @@ function tsTypeToString(typeNode, registry = []) {
     case "TSThisType":
       return "this";
 
+    // ===== Type Predicates (x is T, asserts x is T, asserts x) =====
+    case "TSTypePredicate":
+      return {
+        kind: 'predicate',
+        parameterName: typeNode.parameterName?.type === 'TSThisType' ? 'this' : typeNode.parameterName?.name,
+        type: typeNode.typeAnnotation ? tsTypeToString(typeNode.typeAnnotation.typeAnnotation, registry) : null,
+        asserts: !!typeNode.asserts
+      };
+
     // ===== Import Type =====
     case "TSImportType":
       return {
@@ -377,127 +386,375 @@ function tsTypeToString(typeNode, registry = []) {
 }
 
 
+const FUNCTION_EXPRESSIONS = new Set(['FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * Parameters of a function type, constructor type, or method, call or
+ * construct signature. acorn-typescript names these `parameters`.
+ */
+function signatureParams(node, registry) {
+  return (node.parameters ?? node.params)?.map(p => {
+    const name = p.type === 'Identifier' ? p.name :
+      (p.type === 'RestElement' ? '...' + p.argument.name : 'param');
+    return {
+      name,
+      type: tsTypeToString(p.typeAnnotation?.typeAnnotation, registry),
+      optional: !!p.optional
+    };
+  }) || [];
+}
+
+// Built-in constructors whose instances annotations can name
+const BUILTIN_CLASSES = new Set([
+  'Date', 'RegExp', 'Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError',
+  'TypeError', 'URIError', 'AggregateError', 'ArrayBuffer', 'SharedArrayBuffer', 'DataView',
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+  'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  'WeakMap', 'WeakSet', 'WeakRef'
+]);
+
+// Names of the classes each module declares, by registry, so annotations can
+// refer to classes declared further down
+const declaredClasses = new WeakMap();
+
+function isDeclaredClass(registry, name) {
+  return !!declaredClasses.get(registry)?.has(name) || registry.some(e => e.kind === 'class' && e.name === name);
+}
+
+// Function declarations and function-valued variables each module declares,
+// by registry, so `typeof f` can be resolved before `f` is registered
+const declaredFunctions = new WeakMap();
+
+/**
+ * The function type a `typeof f` operand stands for, when `f` is a function
+ * the module declares. Other types are returned unchanged.
+ */
+function functionTypeOf(type, registry) {
+  if (type?.kind !== 'typeof') return type;
+  const functions = declaredFunctions.get(registry);
+  const node = functions?.get(type.expression);
+  if (!node) return type;
+  // A signature that refers to its own function stays unresolved
+  functions.delete(type.expression);
+  const entry = functionEntry(type.expression, node, registry);
+  functions.set(type.expression, node);
+  return { kind: 'function', params: entry?.params ?? [], returnType: entry?.returnType ?? 'any' };
+}
+
+// Declarations parseCode has not registered yet, by registry, so references
+// to types declared further down can be resolved when they are first used
+const pendingDeclarations = new WeakMap();
+
+/**
+ * Registry entry of kind `kind` named `name`, declaring it first if its
+ * declaration comes later in the module.
+ */
+function findNamedType(registry, kind, name) {
+  const find = () => registry.find(e => e.kind === kind && e.name === name);
+  return find() ?? (pendingDeclarations.get(registry)?.declare(name) ? find() : undefined);
+}
+
+/**
+ * Plain object shapes (interfaces, type literals) as opposed to kinded types.
+ */
+function isObjectShape(type) {
+  return typeof type === 'object' && type !== null && !Array.isArray(type) && !type.kind;
+}
+
+/**
+ * Type parameters declared on an alias or interface, or undefined.
+ */
+function typeParamsOf(node, registry) {
+  const typeParams = node.typeParameters?.params?.map(tp => ({
+    name: tp.name,
+    constraint: tp.constraint ? tsTypeToString(tp.constraint, registry) : null,
+    default: tp.default ? tsTypeToString(tp.default, registry) : null
+  })) || [];
+  return typeParams.length > 0 ? typeParams : undefined;
+}
+
+/**
+ * Shape of a named interface, or of a type alias to an object type,
+ * for use as an `extends` base, instantiated with `typeArgs` when generic.
+ */
+function resolveBaseShape(name, registry, typeArgs = []) {
+  const entry = findNamedType(registry, 'interface', name) ?? findNamedType(registry, 'typeAlias', name);
+  if (!entry) return null;
+  const shape = instantiateGeneric(entry, typeArgs);
+  return isObjectShape(shape) ? shape : null;
+}
+
+/**
+ * Merge the members of every base listed in `shape.__extends` under the
+ * interface's own members. Bases apply in declaration order and the interface's
+ * own declarations override inherited ones, including their readonly flags.
+ * `baseTypeArgs` holds the type arguments written for each base, if any.
+ * Bases that are not registered (yet) are skipped.
+ */
+function mergeBaseShapes(shape, registry, baseTypeArgs = []) {
+  const bases = (shape.__extends || [])
+    .map((name, i) => resolveBaseShape(name, registry, baseTypeArgs[i]))
+    .filter(base => base && base !== shape);
+  if (bases.length === 0) return shape;
+
+  const merged = {};
+  const meta = {};
+  for (const source of [...bases, shape]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (key === '__meta' || key === '__extends') continue;
+      merged[key] = value;
+      if (!key.startsWith('__')) delete meta[key];
+    }
+    Object.assign(meta, source.__meta);
+  }
+
+  if (Object.keys(meta).length > 0) merged.__meta = meta;
+  merged.__extends = shape.__extends;
+  return merged;
+}
+
+/**
+ * Source-like name of a parameter: its identifier, or for destructuring
+ * patterns the names they bind, e.g. `{ id, name: label }` or `[first, ...rest]`.
+ */
+export function patternName(pattern) {
+  switch (pattern?.type) {
+    case 'Identifier': return pattern.name;
+    case 'AssignmentPattern': return patternName(pattern.left);
+    case 'RestElement': return '...' + patternName(pattern.argument);
+    case 'ArrayPattern': return `[${pattern.elements.map(el => el ? patternName(el) : '').join(', ')}]`;
+    case 'ObjectPattern': {
+      const properties = pattern.properties.map(prop => {
+        if (prop.type === 'RestElement' || prop.shorthand) return patternName(prop.type === 'RestElement' ? prop : prop.value);
+        const key = prop.key.name ?? JSON.stringify(prop.key.value);
+        return `${prop.computed ? `[${key}]` : key}: ${patternName(prop.value)}`;
+      });
+      return `{ ${properties.join(', ')} }`;
+    }
+    default: return 'param';
+  }
+}
+
+/**
+ * Registry entry for a function declaration, function expression or arrow
+ * function, or null when it has no type annotations.
+ */
+function functionEntry(name, node, typeRegistry) {
+  const typeParams = typeParamsOf(node, typeRegistry);
+
+  const params = node.params.map(p => {
+    // Handle rest parameters
+    if (p.type === 'RestElement') {
+      return {
+        name: '...' + (p.argument?.name || 'rest'),
+        type: tsTypeToString(p.argument?.typeAnnotation?.typeAnnotation || p.typeAnnotation?.typeAnnotation, typeRegistry),
+        rest: true
+      };
+    }
+
+    // Handle this parameter
+    if (p.type === 'Identifier' && p.name === 'this') {
+      return {
+        name: 'this',
+        type: tsTypeToString(p.typeAnnotation?.typeAnnotation, typeRegistry),
+        isThis: true
+      };
+    }
+
+    // Defaulted parameters (`limit: number = 10`) may be omitted by callers
+    const binding = p.type === 'AssignmentPattern' ? p.left : p;
+    if (binding.typeAnnotation) {
+      let type = tsTypeToString(binding.typeAnnotation.typeAnnotation, typeRegistry);
+      if (typeof type === 'string') {
+        const alias = typeRegistry.find(e => e.kind === 'typeAlias' && e.name === type);
+        if (alias) type = alias.type;
+      }
+      const entry = { name: patternName(binding), type, optional: !!binding.optional || binding !== p };
+      if (binding !== p) entry.hasDefault = true;
+      return entry;
+    }
+    return null;
+  }).filter(Boolean);
+
+  let returnType = "any";
+  if (node.returnType) {
+    returnType = tsTypeToString(node.returnType.typeAnnotation, typeRegistry);
+    if (typeof returnType === 'string') {
+      const alias = typeRegistry.find(e => e.kind === 'typeAlias' && e.name === returnType);
+      if (alias) returnType = alias.type;
+    }
+  }
+
+  if (params.length === 0 && returnType === "any" && !typeParams) return null;
+  return {
+    kind: "function",
+    name,
+    params,
+    returnType,
+    typeParams,
+    async: !!node.async,
+    generator: !!node.generator
+  };
+}
+
 /**
  * Parse code and collect type registry
  * Extended to handle: enums, extended interfaces, class declarations
  */
 export function parseCode(source) {
-  const parser = Parser.extend(ts());
-  const ast = parser.parse(source, { ecmaVersion: 2024, sourceType: "module" });
+  const parser = Parser.extend(ts({ allowSatisfies: true }));
+  const ast = parser.parse(source, { ecmaVersion: 2024, sourceType: "module", locations: true });
 
   const typeRegistry = [];
-
-  // Pass 1: Enums, Interfaces, Type Aliases (collect definitions first)
+  const classNames = new Set();
+  const functionNodes = new Map();
   walk(ast, {
     enter(node) {
-      // ===== Enum Declarations =====
-      if (node.type === "TSEnumDeclaration") {
-        const members = {};
-        let autoValue = 0;
-
-        node.members.forEach(m => {
-          const name = m.id.name || m.id.value;
-          if (m.initializer) {
-            if (m.initializer.type === 'Literal') {
-              members[name] = m.initializer.value;
-              if (typeof m.initializer.value === 'number') {
-                autoValue = m.initializer.value + 1;
-              }
-            } else if (m.initializer.type === 'UnaryExpression' && m.initializer.operator === '-') {
-              members[name] = -m.initializer.argument.value;
-              autoValue = members[name] + 1;
+      if (node.type === 'ClassDeclaration' && node.id) classNames.add(node.id.name);
+      if (node.type === 'FunctionDeclaration' && node.id) functionNodes.set(node.id.name, node);
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && FUNCTION_EXPRESSIONS.has(node.init?.type)) {
+        functionNodes.set(node.id.name, node.init);
+      }
+    }
+  });
+  declaredClasses.set(typeRegistry, classNames);
+  declaredFunctions.set(typeRegistry, functionNodes);
+
+  // Pass 1: Enums, Interfaces, Type Aliases (collect definitions first)
+  const declare = node => {
+    // ===== Enum Declarations =====
+    if (node.type === "TSEnumDeclaration") {
+      const members = {};
+      let autoValue = 0;
+
+      node.members.forEach(m => {
+        const name = m.id.name || m.id.value;
+        if (m.initializer) {
+          if (m.initializer.type === 'Literal') {
+            members[name] = m.initializer.value;
+            if (typeof m.initializer.value === 'number') {
+              autoValue = m.initializer.value + 1;
             }
-          } else {
-            members[name] = autoValue++;
+          } else if (m.initializer.type === 'UnaryExpression' && m.initializer.operator === '-') {
+            members[name] = -m.initializer.argument.value;
+            autoValue = members[name] + 1;
           }
-        });
+        } else {
+          members[name] = autoValue++;
+        }
+      });
 
-        typeRegistry.push({
-          kind: "enum",
-          name: node.id.name,
-          members,
-          isConst: !!node.const
-        });
-      }
+      typeRegistry.push({
+        kind: "enum",
+        name: node.id.name,
+        members,
+        isConst: !!node.const
+      });
+    }
 
-      // ===== Interface Declarations =====
-      else if (node.type === "TSInterfaceDeclaration") {
-        const shape = { __meta: {} };
+    // ===== Interface Declarations =====
+    else if (node.type === "TSInterfaceDeclaration") {
+      const shape = { __meta: {} };
 
-        // Handle extends
-        if (node.extends?.length > 0) {
-          shape.__extends = node.extends.map(ext => ext.expression?.name || ext.name);
+      // Handle extends
+      let baseTypeArgs;
+      if (node.extends?.length > 0) {
+        shape.__extends = node.extends.map(ext => ext.expression?.name || ext.name);
+        if (node.extends.some(ext => ext.typeParameters)) {
+          baseTypeArgs = node.extends.map(ext => ext.typeParameters?.params?.map(p => tsTypeToString(p, typeRegistry)) || []);
         }
+      }
 
-        node.body.body.forEach(m => {
-          if (m.type === 'TSPropertySignature') {
-            const name = m.key.name || m.key.value;
-            const optional = !!m.optional;
-            const readonly = !!m.readonly;
-            const propType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
-
-            let finalType = propType;
-            if (optional) finalType = { kind: 'optional', type: propType };
-            if (readonly) {
-              shape.__meta[name] = { readonly: true };
-            }
-            shape[name] = finalType;
-          } else if (m.type === 'TSIndexSignature') {
-            const indexParam = m.parameters[0];
-            const keyType = tsTypeToString(indexParam.typeAnnotation?.typeAnnotation, typeRegistry);
-            const valueType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
-            shape.__indexSignature = { keyType, valueType, readonly: !!m.readonly };
-          } else if (m.type === 'TSCallSignatureDeclaration') {
-            const params = m.params?.map(p => ({
-              name: p.name,
-              type: tsTypeToString(p.typeAnnotation?.typeAnnotation, typeRegistry)
-            })) || [];
-            const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
-            shape.__callSignature = { params, returnType };
-          } else if (m.type === 'TSConstructSignatureDeclaration') {
-            const params = m.params?.map(p => ({
-              name: p.name,
-              type: tsTypeToString(p.typeAnnotation?.typeAnnotation, typeRegistry)
-            })) || [];
-            const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
-            shape.__constructSignature = { params, returnType };
-          } else if (m.type === 'TSMethodSignature') {
-            const name = m.key.name || m.key.value;
-            const params = m.params?.map(p => ({
-              name: p.name,
-              type: tsTypeToString(p.typeAnnotation?.typeAnnotation, typeRegistry),
-              optional: !!p.optional
-            })) || [];
-            const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
-            shape[name] = { kind: 'method', params, returnType, optional: !!m.optional };
+      node.body.body.forEach(m => {
+        if (m.type === 'TSPropertySignature') {
+          const name = m.key.name || m.key.value;
+          const optional = !!m.optional;
+          const readonly = !!m.readonly;
+          const propType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
+
+          let finalType = propType;
+          if (optional) finalType = { kind: 'optional', type: propType };
+          if (readonly) {
+            shape.__meta[name] = { readonly: true, declaredOn: node.id.name };
           }
-        });
+          shape[name] = finalType;
+        } else if (m.type === 'TSIndexSignature') {
+          const indexParam = m.parameters[0];
+          const keyType = tsTypeToString(indexParam.typeAnnotation?.typeAnnotation, typeRegistry);
+          const valueType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
+          shape.__indexSignature = { keyType, valueType, readonly: !!m.readonly };
+          if (m.readonly) shape.__indexSignature.declaredOn = node.id.name;
+        } else if (m.type === 'TSCallSignatureDeclaration') {
+          const params = signatureParams(m, typeRegistry);
+          const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
+          shape.__callSignature = { params, returnType };
+        } else if (m.type === 'TSConstructSignatureDeclaration') {
+          const params = signatureParams(m, typeRegistry);
+          const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
+          shape.__constructSignature = { params, returnType };
+        } else if (m.type === 'TSMethodSignature') {
+          const name = m.key.name || m.key.value;
+          const params = signatureParams(m, typeRegistry);
+          const returnType = tsTypeToString(m.typeAnnotation?.typeAnnotation, typeRegistry);
+          shape[name] = { kind: 'method', params, returnType, optional: !!m.optional };
+        }
+      });
 
-        // Clean up empty __meta
-        if (Object.keys(shape.__meta).length === 0) delete shape.__meta;
+      // Clean up empty __meta
+      if (Object.keys(shape.__meta).length === 0) delete shape.__meta;
 
-        typeRegistry.push({ kind: "interface", name: node.id.name, shape });
-      }
+      typeRegistry.push({
+        kind: "interface",
+        name: node.id.name,
+        shape: mergeBaseShapes(shape, typeRegistry, baseTypeArgs),
+        typeParams: typeParamsOf(node, typeRegistry)
+      });
+    }
 
-      // ===== Type Alias Declarations =====
-      else if (node.type === "TSTypeAliasDeclaration") {
-        const typeParams = node.typeParameters?.params?.map(tp => ({
-          name: tp.name,
-          constraint: tp.constraint ? tsTypeToString(tp.constraint, typeRegistry) : null,
-          default: tp.default ? tsTypeToString(tp.default, typeRegistry) : null
-        })) || [];
+    // ===== Type Alias Declarations =====
+    else if (node.type === "TSTypeAliasDeclaration") {
+      const aliasType = tsTypeToString(node.typeAnnotation, typeRegistry);
+      // Readonly members of an object type alias are reported as declared on it
+      if (node.typeAnnotation.type === 'TSTypeLiteral') {
+        Object.values(aliasType.__meta ?? {}).forEach(meta => { meta.declaredOn = node.id.name; });
+        if (aliasType.__indexSignature?.readonly) aliasType.__indexSignature.declaredOn = node.id.name;
+      }
+      typeRegistry.push({
+        kind: "typeAlias",
+        name: node.id.name,
+        type: aliasType,
+        typeParams: typeParamsOf(node, typeRegistry)
+      });
+    }
+  };
 
-        const aliasType = tsTypeToString(node.typeAnnotation, typeRegistry);
-        typeRegistry.push({
-          kind: "typeAlias",
-          name: node.id.name,
-          type: aliasType,
-          typeParams: typeParams.length > 0 ? typeParams : undefined
-        });
+  // Declarations are registered in order, except that a type referring to one
+  // declared further down registers it first. References back to a type that
+  // is still being declared become lazy refs, which is how recursive types work.
+  const pending = new Map();
+  walk(ast, {
+    enter(node) {
+      if (node.type === "TSEnumDeclaration" || node.type === "TSInterfaceDeclaration" || node.type === "TSTypeAliasDeclaration") {
+        if (!pending.has(node.id.name)) pending.set(node.id.name, []);
+        pending.get(node.id.name).push(node);
       }
     }
   });
 
+  const resolving = new Set();
+  const declareNamed = name => {
+    const nodes = pending.get(name);
+    if (!nodes) return false;
+    pending.delete(name);
+    resolving.add(name);
+    nodes.forEach(declare);
+    resolving.delete(name);
+    return true;
+  };
+  pendingDeclarations.set(typeRegistry, { resolving, declare: declareNamed });
+  [...pending.keys()].forEach(declareNamed);
+  pendingDeclarations.delete(typeRegistry);
+
   // Pass 2: Variables, Functions, Classes (resolve aliases)
   walk(ast, {
     enter(node) {
@@ -522,6 +779,10 @@ export function parseCode(source) {
               type,
               isConst: isConst || node.kind === 'const'
             });
+          } else if (decl.id.type === 'Identifier' && FUNCTION_EXPRESSIONS.has(decl.init?.type)) {
+            // const handler = (req: Req): Res => { ... }
+            const entry = functionEntry(decl.id.name, decl.init, typeRegistry);
+            if (entry) typeRegistry.push(entry);
           }
         }
       }
@@ -531,62 +792,8 @@ export function parseCode(source) {
         const funcName = node.id?.name;
         if (!funcName) return;
 
-        const typeParams = node.typeParameters?.params?.map(tp => ({
-          name: tp.name,
-          constraint: tp.constraint ? tsTypeToString(tp.constraint, typeRegistry) : null,
-          default: tp.default ? tsTypeToString(tp.default, typeRegistry) : null
-        })) || [];
-
-        const params = node.params.map(p => {
-          // Handle rest parameters
-          if (p.type === 'RestElement') {
-            return {
-              name: '...' + (p.argument?.name || 'rest'),
-              type: tsTypeToString(p.argument?.typeAnnotation?.typeAnnotation || p.typeAnnotation?.typeAnnotation, typeRegistry),
-              rest: true
-            };
-          }
-
-          // Handle this parameter
-          if (p.type === 'Identifier' && p.name === 'this') {
-            return {
-              name: 'this',
-              type: tsTypeToString(p.typeAnnotation?.typeAnnotation, typeRegistry),
-              isThis: true
-            };
-          }
-
-          if (p.typeAnnotation) {
-            let type = tsTypeToString(p.typeAnnotation.typeAnnotation, typeRegistry);
-            if (typeof type === 'string') {
-              const alias = typeRegistry.find(e => e.kind === 'typeAlias' && e.name === type);
-              if (alias) type = alias.type;
-            }
-            return { name: p.name, type, optional: !!p.optional };
-          }
-          return null;
-        }).filter(Boolean);
-
-        let returnType = "any";
-        if (node.returnType) {
-          returnType = tsTypeToString(node.returnType.typeAnnotation, typeRegistry);
-          if (typeof returnType === 'string') {
-            const alias = typeRegistry.find(e => e.kind === 'typeAlias' && e.name === returnType);
-            if (alias) returnType = alias.type;
-          }
-        }
-
-        if (params.length > 0 || returnType !== "any" || typeParams.length > 0) {
-          typeRegistry.push({
-            kind: "function",
-            name: funcName,
-            params,
-            returnType,
-            typeParams: typeParams.length > 0 ? typeParams : undefined,
-            async: !!node.async,
-            generator: !!node.generator
-          });
-        }
+        const entry = functionEntry(funcName, node, typeRegistry);
+        if (entry) typeRegistry.push(entry);
       }
 
       // ===== Class Declarations =====
@@ -0,0 +1,204 @@
+// src/parser/utility-types.js - Evaluate built-in utility types into concrete shapes and unions
+
+const UTILITY_KINDS = new Set([
+  'partial', 'required', 'readonly', 'pick', 'omit', 'exclude',
+  'extract', 'nonNullable', 'returnType', 'parameters', 'awaited'
+]);
+
+const PRIMITIVES = new Set([
+  'string', 'number', 'boolean', 'bigint', 'symbol', 'null', 'undefined',
+  'void', 'never', 'any', 'unknown', 'object', 'function'
+]);
+
+function isObjectShape(type) {
+  return typeof type === 'object' && type !== null && !Array.isArray(type) && !type.kind;
+}
+
+/**
+ * Whether a type is fully known. Bare names that are not primitives are type
+ * parameters or unresolved references, so utilities over them must wait until
+ * a generic is instantiated. Lazy refs to recursive types and class instances,
+ * whose members are not known here, are left alone.
+ */
+function isConcrete(type) {
+  if (typeof type === 'string') return PRIMITIVES.has(type);
+  if (type?.kind === 'union' || type?.kind === 'intersection') return type.types.every(isConcrete);
+  if (UTILITY_KINDS.has(type?.kind) || type?.kind === 'ref' || type?.kind === 'instance') return false;
+  return type != null;
+}
+
+/**
+ * Object shape of a type literal or interface, or of an intersection of them.
+ */
+function asShape(type) {
+  if (isObjectShape(type)) return type;
+  if (type?.kind !== 'intersection') return null;
+
+  const shapes = type.types.map(asShape);
+  if (shapes.some(shape => !shape)) return null;
+  const merged = {};
+  const meta = {};
+  for (const shape of shapes) {
+    Object.assign(merged, shape);
+    Object.assign(meta, shape.__meta);
+  }
+  if (Object.keys(meta).length > 0) merged.__meta = meta;
+  return merged;
+}
+
+function propertyNames(shape) {
+  return Object.keys(shape).filter(key => !key.startsWith('__'));
+}
+
+/**
+ * Property names selected by a key type: a string literal, a union of them,
+ * or `keyof` an object shape. Null when the keys are not known.
+ */
+function literalKeys(keys) {
+  if (keys?.kind === 'literal') return [String(keys.value)];
+  if (keys?.kind === 'union') {
+    const members = keys.types.map(literalKeys);
+    return members.every(Boolean) ? members.flat() : null;
+  }
+  if (keys?.kind === 'keyof') {
+    const shape = asShape(keys.type);
+    return shape ? propertyNames(shape) : null;
+  }
+  return null;
+}
+
+function unionOf(types) {
+  const unique = types.filter((type, i) =>
+    types.findIndex(other => JSON.stringify(other) === JSON.stringify(type)) === i);
+  if (unique.length === 0) return 'never';
+  if (unique.length === 1) return unique[0];
+  return { kind: 'union', types: unique };
+}
+
+function unionMembers(type) {
+  return type?.kind === 'union' ? type.types : [type];
+}
+
+/**
+ * Whether `type` is assignable to `target`, as far as Exclude and Extract
+ * need to know: identical types, literals to their primitive, and members
+ * of a target union.
+ */
+function isAssignable(type, target) {
+  if (target?.kind === 'union') return target.types.some(member => isAssignable(type, member));
+  if (target === 'any' || target === 'unknown') return true;
+  if (JSON.stringify(type) === JSON.stringify(target)) return true;
+  if (type?.kind === 'literal') return typeof type.value === target;
+  if (type === 'undefined') return target === 'void';
+  if (target === 'object') return typeof type === 'object' && type !== null && type.kind !== 'literal';
+  return false;
+}
+
+function filterUnion(type, target, keep) {
+  if (!isConcrete(type) || !isConcrete(target)) return null;
+  return unionOf(unionMembers(type).filter(member => isAssignable(member, target) === keep));
+}
+
+function mapProperties(shape, mapProperty) {
+  const result = {};
+  for (const [key, value] of Object.entries(shape)) {
+    result[key] = key.startsWith('__') ? value : mapProperty(value);
+  }
+  return result;
+}
+
+function selectProperties(shape, keys, keep) {
+  const result = {};
+  const meta = {};
+  for (const [key, value] of Object.entries(shape)) {
+    if (key === '__meta' || key === '__extends') continue;
+    if (key.startsWith('__')) {
+      if (!keep) result[key] = value;
+      continue;
+    }
+    if (keys.includes(key) !== keep) continue;
+    result[key] = value;
+    if (shape.__meta?.[key]) meta[key] = shape.__meta[key];
+  }
+  if (Object.keys(meta).length > 0) result.__meta = meta;
+  return result;
+}
+
+function evaluatePartial(type) {
+  const shape = asShape(type);
+  if (shape) return mapProperties(shape, value => value?.kind === 'optional' ? value : { kind: 'optional', type: value });
+  return isConcrete(type) ? type : null;
+}
+
+function evaluateRequired(type) {
+  const shape = asShape(type);
+  if (shape) return mapProperties(shape, value => value?.kind === 'optional' ? value.type : value);
+  return isConcrete(type) ? type : null;
+}
+
+function evaluateReadonly(type) {
+  const shape = asShape(type);
+  if (shape) {
+    const meta = { ...shape.__meta };
+    propertyNames(shape).forEach(key => { meta[key] = { ...meta[key], readonly: true }; });
+    return { ...shape, __meta: meta };
+  }
+  if (type?.kind === 'array') return { kind: 'readonlyArray', elementType: type.elementType };
+  if (type?.kind === 'tuple') return { ...type, readonly: true };
+  return isConcrete(type) ? type : null;
+}
+
+function evaluateAwaited(type) {
+  if (type?.kind === 'promise') return evaluateAwaited(type.resolveType);
+  if (type?.kind === 'union') {
+    const members = type.types.map(evaluateAwaited);
+    return members.every(member => member != null) ? unionOf(members) : null;
+  }
+  return isConcrete(type) ? type : null;
+}
+
+function parametersTuple(fn) {
+  return {
+    kind: 'tuple',
+    elements: fn.params.filter(p => !p.isThis).map(p => {
+      if (p.name.startsWith('...')) {
+        return { kind: 'rest', type: p.type?.kind === 'array' ? p.type.elementType : p.type };
+      }
+      return p.optional ? { kind: 'optionalElement', type: p.type } : p.type;
+    })
+  };
+}
+
+const EVALUATORS = {
+  partial: t => evaluatePartial(t.type),
+  required: t => evaluateRequired(t.type),
+  readonly: t => evaluateReadonly(t.type),
+  pick: t => {
+    const shape = asShape(t.type);
+    const keys = literalKeys(t.keys);
+    return shape && keys ? selectProperties(shape, keys, true) : null;
+  },
+  omit: t => {
+    const shape = asShape(t.type);
+    const keys = literalKeys(t.keys);
+    return shape && keys ? selectProperties(shape, keys, false) : null;
+  },
+  exclude: t => filterUnion(t.type, t.excluded, false),
+  extract: t => filterUnion(t.type, t.extracted, true),
+  nonNullable: t => filterUnion(t.type, { kind: 'union', types: ['null', 'undefined'] }, false),
+  returnType: t => t.type?.kind === 'function' ? t.type.returnType : null,
+  parameters: t => t.type?.kind === 'function' ? parametersTuple(t.type) : null,
+  awaited: t => evaluateAwaited(t.type)
+};
+
+/**
+ * Reduce a utility type node (`Partial<T>`, `Pick<T, K>`, `NonNullable<T>`,
+ * ...) to the shape or union it stands for. Nodes whose operands are not known
+ * yet, such as a type parameter inside a generic alias, are returned
+ * unchanged and evaluated again once the generic is instantiated.
+ */
+export function evaluateUtilityType(type) {
+  const evaluate = EVALUATORS[type?.kind];
+  if (!evaluate) return type;
+  return evaluate(type) ?? type;
+}
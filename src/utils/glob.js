@@ -0,0 +1,86 @@
+// src/utils/glob.js - Minimal glob matching for file selection (*, **, ?)
+
+import fs from "fs";
+import path from "path";
+import { collectSourceFiles } from "../build/build.js";
+
+const GLOB_CHARS = /[*?]/;
+
+/**
+ * Convert a glob pattern into a RegExp matched against '/'-separated paths.
+ * `**` matches any number of directories, `*` anything except '/', `?` one character.
+ */
+export function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // '**/' may match zero directories
+      if (pattern[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+export function matchesGlob(filePath, pattern) {
+  return globToRegExp(pattern).test(filePath.split(path.sep).join('/'));
+}
+
+function walkFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name === '.git') continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...walkFiles(fullPath));
+    else if (entry.isFile()) files.push(fullPath);
+  }
+  return files;
+}
+
+/**
+ * Expand file paths, directories and glob patterns into a sorted list of
+ * absolute .tjs file paths. Directories contribute every .tjs file below them.
+ * Paths without glob characters that do not exist are kept, so reading them
+ * reports the missing file instead of skipping it.
+ */
+export function expandPatterns(patterns, cwd = process.cwd()) {
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    if (!GLOB_CHARS.test(pattern)) {
+      const fullPath = path.resolve(cwd, pattern);
+      if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+        collectSourceFiles(fullPath).forEach(f => files.add(f));
+      } else {
+        files.add(fullPath);
+      }
+      continue;
+    }
+
+    // Walk from the deepest directory that has no glob characters
+    const segments = pattern.split('/');
+    const firstGlob = segments.findIndex(s => GLOB_CHARS.test(s));
+    const baseDir = path.resolve(cwd, segments.slice(0, firstGlob).join('/') || '.');
+    if (!fs.existsSync(baseDir)) continue;
+
+    const matcher = globToRegExp(path.posix.normalize(pattern).replace(/^\.\//, ''));
+    for (const file of walkFiles(baseDir)) {
+      const candidate = path.isAbsolute(pattern) ? file : path.relative(cwd, file);
+      if (file.endsWith('.tjs') && matcher.test(candidate.split(path.sep).join('/'))) files.add(file);
+    }
+  }
+
+  return [...files].sort();
+}
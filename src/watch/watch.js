@@ -0,0 +1,194 @@
+// src/watch/watch.js - Re-check and restart a .tjs program whenever its sources change
+
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import { walk } from 'estree-walker';
+import { parseCode } from "../parser/parser.js";
+import { staticAnalyze } from "../analyzer/analyzer.js";
+import { syntaxDiagnostic, readDiagnostic } from "../analyzer/diagnostics.js";
+import { formatDiagnostic } from "../analyzer/reporter.js";
+import { generate } from "../generator/generator.js";
+import { loadConfig, modeForFile, blocksOnStaticErrors } from "../config/config.js";
+
+// `--import` takes a module specifier, so the hooks are named by file URL
+const REGISTER_URL = new URL('../loader/register.js', import.meta.url).href;
+const DEBOUNCE_MS = 100;
+
+/**
+ * Find the relative .tjs specifiers imported or re-exported by a module.
+ */
+function findTjsImports(ast) {
+  const specifiers = [];
+  walk(ast, {
+    enter(node) {
+      if (
+        node.type === 'ImportDeclaration' ||
+        node.type === 'ExportNamedDeclaration' ||
+        node.type === 'ExportAllDeclaration' ||
+        node.type === 'ImportExpression'
+      ) {
+        const value = node.source?.type === 'Literal' ? node.source.value : null;
+        if (typeof value === 'string' && /^\.{1,2}\//.test(value) && value.endsWith('.tjs')) {
+          specifiers.push(value);
+        }
+      }
+    }
+  });
+  return specifiers;
+}
+
+/**
+ * Analyze the entry file and every .tjs file it imports (transitively).
+ * Returns the files visited and the diagnostics for each of them.
+ * Files that fail to parse are still watched so fixing them triggers a rerun.
+ */
+export function checkImportGraph(entryFile, mode = 'development') {
+  const files = new Set();
+  const diagnostics = [];
+  const queue = [path.resolve(entryFile)];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (files.has(file)) continue;
+    files.add(file);
+
+    let source;
+    try {
+      source = fs.readFileSync(file, "utf-8");
+    } catch (e) {
+      diagnostics.push(readDiagnostic(e, file));
+      continue;
+    }
+
+    try {
+      const { ast, typeRegistry } = parseCode(source);
+      const imports = findTjsImports(ast);
+      diagnostics.push(...staticAnalyze(typeRegistry, ast, { file }));
+      generate(ast, typeRegistry, mode);
+      imports.forEach(spec => queue.push(path.resolve(path.dirname(file), spec)));
+    } catch (e) {
+      diagnostics.push(syntaxDiagnostic(e, file));
+    }
+  }
+
+  return { files: [...files], diagnostics };
+}
+
+// Positions are left out so edits that only move an error do not re-report it
+function diagnosticKey(d) {
+  return `${d.file}\u0000${d.code}\u0000${d.message}`;
+}
+
+/**
+ * Compare two diagnostic lists, returning what appeared and what was resolved.
+ */
+export function diffDiagnostics(previous, current) {
+  const previousKeys = new Set(previous.map(diagnosticKey));
+  const currentKeys = new Set(current.map(diagnosticKey));
+  return {
+    added: current.filter(d => !previousKeys.has(diagnosticKey(d))),
+    resolved: previous.filter(d => !currentKeys.has(diagnosticKey(d)))
+  };
+}
+
+/**
+ * Run `entryFile` in a child process, restarting it whenever the entry file
+ * or any .tjs module it imports changes. Only diagnostics that changed since
+ * the previous run are printed. An explicit `mode` applies to every module;
+ * otherwise each module's mode comes from the project configuration.
+ */
+export function startWatch(entryFile, { mode = null, config = loadConfig(), checkedCasts = false, enforceReadonly = false } = {}) {
+  const entry = path.resolve(entryFile);
+  const entryMode = mode ?? modeForFile(config, entry);
+  const watchers = new Map();
+  let previousDiagnostics = [];
+  let child = null;
+  let timer = null;
+
+  function runProgram() {
+    child = spawn(process.execPath, ['--enable-source-maps', '--import', REGISTER_URL, entry], {
+      stdio: 'inherit',
+      env: {
+        ...process.env,
+        ...(mode && { TYPEDJS_MODE: mode }),
+        ...(checkedCasts && { TYPEDJS_CHECKED_CASTS: '1' }),
+        ...(enforceReadonly && { TYPEDJS_ENFORCE_READONLY: '1' }),
+        ...(config.configPath && { TYPEDJS_CONFIG: config.configPath }),
+        TYPEDJS_QUIET_STATIC: '1'
+      }
+    });
+    const current = child;
+    current.on('exit', (code, signal) => {
+      if (child === current && !signal) {
+        console.log(`[typedjs] Process exited with code ${code}. Waiting for changes...`);
+      }
+    });
+  }
+
+  function stopProgram(onStopped) {
+    if (!child || child.exitCode !== null || child.signalCode !== null) {
+      child = null;
+      onStopped();
+      return;
+    }
+    const previous = child;
+    child = null;
+    previous.once('exit', onStopped);
+    previous.kill('SIGTERM');
+  }
+
+  function updateWatchers(files) {
+    for (const [file, watcher] of watchers) {
+      watcher.close();
+      watchers.delete(file);
+    }
+    for (const file of files) {
+      if (!fs.existsSync(file)) continue;
+      // Recreated after every run so editors that save by renaming keep being tracked
+      watchers.set(file, fs.watch(file, scheduleRun));
+    }
+  }
+
+  function run() {
+    const { files, diagnostics } = checkImportGraph(entry, entryMode);
+    const { added, resolved } = diffDiagnostics(previousDiagnostics, diagnostics);
+    previousDiagnostics = diagnostics;
+
+    resolved.forEach(d => console.log(`[typedjs] Fixed: ${formatDiagnostic(d)}`));
+    added.forEach(d => console.log(`[typedjs] ${formatDiagnostic(d)}`));
+
+    updateWatchers(files);
+
+    const blocked = blocksOnStaticErrors(config, entryMode) && diagnostics.length > 0;
+    stopProgram(() => {
+      if (blocked) {
+        console.error("[typedjs] Not restarting due to static type errors.");
+        return;
+      }
+      runProgram();
+    });
+  }
+
+  function scheduleRun() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      console.log('[typedjs] Change detected, restarting...');
+      run();
+    }, DEBOUNCE_MS);
+  }
+
+  function close() {
+    clearTimeout(timer);
+    updateWatchers([]);
+    stopProgram(() => {});
+  }
+
+  process.once('SIGINT', () => {
+    close();
+    process.exit(0);
+  });
+
+  run();
+  return { close };
+}
@@ -3,7 +3,10 @@
  * Tests the TypedJS analyzer - it extracts type information
  */
 
+import path from 'path';
+import { jest } from '@jest/globals';
 import { staticAnalyze, analyze } from '../src/analyzer/analyzer.js';
+import { formatDiagnostic } from '../src/analyzer/reporter.js';
 import { parseCode } from '../src/parser/parser.js';
 
 describe('Analyzer - Type Registry', () => {
@@ -111,3 +114,194 @@ describe('Analyzer - Complex Types', () => {
     expect(result.typeRegistry.length).toBeGreaterThan(0);
   });
 });
+
+describe('Analyzer - Diagnostics', () => {
+  test('should return structured diagnostics with ranges', () => {
+    const code = 'let count: number = "one";';
+    const { ast, typeRegistry } = parseCode(code);
+    const [diagnostic] = staticAnalyze(typeRegistry, ast, { file: 'app.tjs' });
+
+    expect(diagnostic).toMatchObject({
+      code: 'TJS2003',
+      severity: 'error',
+      file: 'app.tjs',
+      range: { start: { line: 1, column: 21 }, end: { line: 1, column: 26 } }
+    });
+    expect(diagnostic.message).toContain("Variable 'count'");
+    expect(diagnostic.related[0]).toMatchObject({ file: 'app.tjs', range: { start: { line: 1, column: 10 } } });
+  });
+
+  test('should point return errors at the declared return type', () => {
+    const code = 'function label(): string {\n  return 42;\n}';
+    const { ast, typeRegistry } = parseCode(code);
+    const [diagnostic] = staticAnalyze(typeRegistry, ast);
+
+    expect(diagnostic.code).toBe('TJS2004');
+    expect(diagnostic.range.start).toEqual({ line: 2, column: 10 });
+    expect(diagnostic.related[0].message).toBe('Return type is declared here');
+  });
+
+  test('should not print anything', () => {
+    const log = jest.spyOn(console, 'log');
+    const { ast, typeRegistry } = parseCode('let n: number = "x";');
+    staticAnalyze(typeRegistry, ast);
+
+    expect(log).not.toHaveBeenCalled();
+    log.mockRestore();
+  });
+});
+
+describe('Analyzer - Interface Inheritance', () => {
+  test('should report inherited properties missing from object literals', () => {
+    const code = `
+      interface User { id: number; name: string }
+      interface Admin extends User { role: string }
+      let admin: Admin = { role: "root", name: 42 };
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+    const messages = staticAnalyze(typeRegistry, ast).map(d => d.message);
+
+    expect(messages).toContain("Property 'id' is missing in object 'admin'");
+    expect(messages).toContain("'admin.name' got 42, expected string");
+  });
+});
+
+describe('Analyzer - Generic Instantiation', () => {
+  test('should check initializers against instantiated generics', () => {
+    const code = `
+      type Box<T> = { value: T };
+      interface Pair<A, B = A> { first: A; second: B }
+      let b: Box<number> = { value: "x" };
+      let p: Pair<string> = { first: "a", second: 2 };
+      let ok: Box<string> = { value: "y" };
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+    const messages = staticAnalyze(typeRegistry, ast).map(d => d.message);
+
+    expect(messages).toEqual([
+      "'b.value' got \"x\", expected number",
+      "'p.second' got 2, expected string"
+    ]);
+  });
+});
+
+describe('Analyzer - Recursive Types', () => {
+  test('should check nested values of recursive types', () => {
+    const code = `
+      let tree: TreeNode = { value: 1, children: [{ value: "two", children: [] }] };
+      interface TreeNode { value: number; children: TreeNode[] }
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+    const messages = staticAnalyze(typeRegistry, ast).map(d => d.message);
+
+    expect(messages).toEqual(["'tree.children[0].value' got \"two\", expected number"]);
+  });
+});
+
+describe('Analyzer - Function Expressions', () => {
+  test('should check literal returns of functions bound to variables', () => {
+    const code = `
+      const parse = (text: string): number => {
+        [text].forEach(t => { return t; });
+        return "nope";
+      };
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+    const messages = staticAnalyze(typeRegistry, ast).map(d => d.message);
+
+    expect(typeRegistry.find(e => e.name === 'parse')).toMatchObject({ kind: 'function', returnType: 'number' });
+    expect(messages).toEqual([`Function 'parse' returns "nope" which doesn't match return type number`]);
+  });
+});
+
+describe('Analyzer - Assertion Functions', () => {
+  const assertText = `function assertText(x: unknown): asserts x is string { if (typeof x !== 'string') throw new TypeError(); }`;
+
+  test('should narrow variables after an assertion call', () => {
+    const code = `
+      ${assertText}
+      function length(value: unknown): number {
+        assertText(value);
+        return value;
+      }
+      let input: unknown = "text";
+      assertText(input);
+      const count: number = input;
+      const text: string = input;
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+    const diagnostics = staticAnalyze(typeRegistry, ast);
+
+    expect(diagnostics.map(d => d.message)).toEqual([
+      `Function 'length' returns 'value' of type string which doesn't match return type number`,
+      `Variable 'count' initializer 'input' of type string does not match type number`
+    ]);
+    expect(diagnostics[1].related.map(r => r.message)).toEqual([
+      `'count' is declared here as number`,
+      `'input' is narrowed to string here`
+    ]);
+  });
+
+  test('should end narrowing at reassignment and at the end of the block', () => {
+    const code = `
+      ${assertText}
+      let input: unknown = "text";
+      {
+        assertText(input);
+      }
+      const a: number = input;
+      assertText(input);
+      input = 1;
+      const b: number = input;
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+
+    expect(staticAnalyze(typeRegistry, ast)).toEqual([]);
+  });
+
+  test('should report assertion calls that always fail', () => {
+    const code = `
+      ${assertText}
+      function assertOk(cond: unknown): asserts cond {}
+      assertText(42);
+      assertText("ok");
+      assertOk(0);
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+    const diagnostics = staticAnalyze(typeRegistry, ast);
+
+    expect(diagnostics.map(d => [d.code, d.message])).toEqual([
+      ['TJS2006', `Assertion 'assertText' always fails: 42 is not string`],
+      ['TJS2006', `Assertion 'assertOk' always fails: 0 is not truthy`]
+    ]);
+  });
+});
+
+describe('Analyzer - Satisfies', () => {
+  test('should check literal expressions against the satisfied type', () => {
+    const code = `
+      interface Point { x: number; y: number }
+      const origin = { x: 0 } satisfies Point;
+      const palette = { red: [255, 0, 0], green: 5 } satisfies Record<string, string | number[]>;
+      const label = "x" satisfies string;
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+
+    expect(staticAnalyze(typeRegistry, ast).map(d => [d.code, d.message])).toEqual([
+      ['TJS2002', `Property 'y' is missing in object 'origin'`],
+      ['TJS2001', `'palette.green' got 5, expected string | Array<number>`]
+    ]);
+  });
+});
+
+describe('Analyzer - Reporter', () => {
+  test('should format a diagnostic with its related locations', () => {
+    const { ast, typeRegistry } = parseCode('let n: number = "x";');
+    const [diagnostic] = staticAnalyze(typeRegistry, ast, { file: path.resolve('app.tjs') });
+
+    expect(formatDiagnostic(diagnostic).split('\n')).toEqual([
+      `app.tjs:1:17 - error TJS2003: Variable 'n' initializer "x" does not match type number`,
+      `    app.tjs:1:6 - 'n' is declared here as number`
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * API Tests
+ * Tests the programmatic entry point (src/index.js)
+ */
+
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { compile, check } from '../src/index.js';
+import { resolveConfig } from '../src/config/config.js';
+import { makeProject, removeProjects } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const indexUrl = pathToFileURL(path.resolve(__dirname, '../src/index.js')).href;
+
+afterAll(removeProjects);
+
+describe('API - compile', () => {
+  test('should return code, map, diagnostics and the type registry', () => {
+    const result = compile('interface User { id: number }\nlet count: number = 1;', { filename: 'app.tjs' });
+
+    expect(result.code).toContain('let count = 1');
+    expect(result.code).not.toContain('interface');
+    expect(result.map.sources).toEqual(['app.tjs', 'typedjs:runtime']);
+    expect(result.diagnostics).toEqual([]);
+    expect(result.typeRegistry.find(t => t.name === 'User').kind).toBe('interface');
+  });
+
+  test('should report static type errors as diagnostics', () => {
+    const { code, diagnostics } = compile('let count: number = "one";');
+
+    expect(code).toContain('let count');
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({ code: 'TJS2003', severity: 'error' });
+  });
+
+  test('should skip the source map when disabled', () => {
+    expect(compile('let x: number = 1;', { sourceMap: false }).map).toBeNull();
+  });
+
+  test('should check casts only when asked to', () => {
+    const source = 'const load = (json: string) => JSON.parse(json) as { id: number };';
+
+    expect(compile(source).code).not.toContain('Cast to');
+    expect(compile(source, { checkedCasts: true }).code).toContain('Cast to object: value');
+    expect(compile(source, { config: resolveConfig({ checkedCasts: true }) }).code).toContain('Cast to object');
+  });
+
+  test('should use the configured severity for static errors', () => {
+    const config = resolveConfig({ reporting: { staticErrors: 'warn' } });
+    const { diagnostics } = compile('let count: number = "one";', { config });
+
+    expect(diagnostics[0].severity).toBe('warning');
+  });
+});
+
+describe('API - check', () => {
+  test('should count errors without throwing on syntax errors', () => {
+    expect(check('let ok: string = "yes";').errorCount).toBe(0);
+
+    const { diagnostics, errorCount } = check('let = ;');
+    expect(errorCount).toBe(1);
+    expect(diagnostics[0].code).toBe('TJS1001');
+  });
+});
+
+describe('API - run', () => {
+  test('should import the file and resolve to its exports', () => {
+    const root = makeProject({
+      'math.tjs': 'export function double(n: number): number { return n * 2; }',
+      'app.tjs': `import { double } from './math.tjs';\nexport const answer: number = double(21);`
+    });
+    const script = `
+      import { run } from ${JSON.stringify(indexUrl)};
+      const mod = await run(${JSON.stringify(path.join(root, 'app.tjs'))});
+      console.log(mod.answer);
+    `;
+
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 10000
+    });
+    expect(output.trim()).toBe('42');
+  });
+
+  test('should apply the options of each run to the modules it imports', () => {
+    const root = makeProject({
+      'parse.tjs': 'export function parse(json: string): number { return JSON.parse(json); }',
+      'strict.tjs': `import { parse } from './parse.tjs';\nexport const result = (() => { try { return parse('"x"'); } catch (e) { return 'threw'; } })();`,
+      'dev.tjs': `import { parse } from './parse.tjs';\nexport const result = parse('1');`
+    });
+    const script = `
+      import { run } from ${JSON.stringify(indexUrl)};
+      const first = await run(${JSON.stringify(path.join(root, 'strict.tjs'))}, { mode: 'strict' });
+      const second = await run(${JSON.stringify(path.join(root, 'dev.tjs'))});
+      console.log(first.result, second.result);
+    `;
+
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      cwd: root,
+      timeout: 10000
+    });
+    expect(output.trim()).toBe('threw 1');
+  });
+
+  test('should reject when static errors block production runs', () => {
+    const root = makeProject({ 'bad.tjs': 'let n: number = "x";' });
+    const script = `
+      import { run } from ${JSON.stringify(indexUrl)};
+      await run(${JSON.stringify(path.join(root, 'bad.tjs'))}, { mode: 'production' })
+        .catch(e => console.log(e.message.split('\\n')[0]));
+    `;
+
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 10000
+    });
+    expect(output).toContain('[TypedJS] Static type errors in');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Build Tests
+ * Tests compiling a directory of .tjs files into .js output
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { buildProject, rewriteImportSpecifiers } from '../src/build/build.js';
+import { parseCode } from '../src/parser/parser.js';
+import { makeProject, removeProjects } from './helpers.js';
+
+afterAll(removeProjects);
+
+describe('Build - Import Rewriting', () => {
+  test('should rewrite relative .tjs specifiers to .js', () => {
+    const code = `
+      import { User } from './models.tjs';
+      export * from '../shared/util.tjs';
+      const lazy = import('./lazy.tjs');
+    `;
+    const { ast } = parseCode(code);
+    rewriteImportSpecifiers(ast);
+
+    expect(ast.body[0].source.value).toBe('./models.js');
+    expect(ast.body[1].source.value).toBe('../shared/util.js');
+    expect(ast.body[2].declarations[0].init.source.value).toBe('./lazy.js');
+  });
+
+  test('should leave package and non-.tjs specifiers alone', () => {
+    const code = `
+      import fs from 'fs';
+      import helper from './helper.js';
+    `;
+    const { ast } = parseCode(code);
+    rewriteImportSpecifiers(ast);
+
+    expect(ast.body[0].source.value).toBe('fs');
+    expect(ast.body[1].source.value).toBe('./helper.js');
+  });
+});
+
+describe('Build - Output Directory', () => {
+  test('should mirror .tjs files as .js files', () => {
+    const root = makeProject({
+      'src/app.tjs': `import { add } from './lib/math.tjs';\nlet total: number = add(1, 2);`,
+      'src/lib/math.tjs': 'export function add(a: number, b: number): number { return a + b; }'
+    });
+    const outDir = path.join(root, 'dist');
+
+    const { results, failed } = buildProject(path.join(root, 'src'), { outDir });
+
+    expect(failed).toHaveLength(0);
+    expect(results).toHaveLength(2);
+    const app = fs.readFileSync(path.join(outDir, 'app.js'), 'utf-8');
+    expect(app).toContain("from './lib/math.js'");
+    expect(app).not.toContain(': number');
+    expect(fs.existsSync(path.join(outDir, 'lib', 'math.js'))).toBe(true);
+  });
+
+  test('should report files that fail static analysis', () => {
+    const root = makeProject({
+      'good.tjs': 'let ok: number = 1;',
+      'bad.tjs': 'let broken: number = "nope";'
+    });
+    const outDir = path.join(root, 'out');
+
+    const { failed } = buildProject(root, { outDir });
+
+    expect(failed).toHaveLength(1);
+    expect(failed[0].file).toBe(path.join(root, 'bad.tjs'));
+    expect(fs.existsSync(path.join(outDir, 'bad.js'))).toBe(false);
+    expect(fs.existsSync(path.join(outDir, 'good.js'))).toBe(true);
+  });
+
+  test('should write separate source map files', () => {
+    const root = makeProject({ 'src/app.tjs': 'let ok: number = 1;' });
+    const outDir = path.join(root, 'dist');
+
+    buildProject(path.join(root, 'src'), { outDir, sourceMaps: 'file' });
+
+    const code = fs.readFileSync(path.join(outDir, 'app.js'), 'utf-8');
+    const map = JSON.parse(fs.readFileSync(path.join(outDir, 'app.js.map'), 'utf-8'));
+    expect(code).toContain('//# sourceMappingURL=app.js.map');
+    expect(map.file).toBe('app.js');
+    expect(map.sources).toEqual(['../src/app.tjs', 'typedjs:runtime']);
+  });
+
+  test('should inline source maps when requested', () => {
+    const root = makeProject({ 'app.tjs': 'let ok: number = 1;' });
+    const outDir = path.join(root, 'dist');
+
+    buildProject(path.join(root, 'app.tjs'), { outDir, sourceMaps: 'inline' });
+
+    const code = fs.readFileSync(path.join(outDir, 'app.js'), 'utf-8');
+    expect(code).toContain('//# sourceMappingURL=data:application/json;charset=utf-8;base64,');
+    expect(fs.existsSync(path.join(outDir, 'app.js.map'))).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Check Tests
+ * Tests static-only checking and the text/json/sarif reports
+ */
+
+import path from 'path';
+import { checkFiles, countErrors, formatReport } from '../src/check/check.js';
+import { expandPatterns, globToRegExp } from '../src/utils/glob.js';
+import { makeProject, removeProjects } from './helpers.js';
+
+afterAll(removeProjects);
+
+describe('Check - Static Analysis', () => {
+  const root = makeProject({
+    'ok.tjs': 'let count: number = 1;',
+    'types.tjs': `globalThis.__typedjsCheckRan = true;\nlet name: string = 42;`,
+    'syntax.tjs': 'let x: = ;'
+  });
+  const files = ['ok.tjs', 'types.tjs', 'syntax.tjs'].map(f => path.join(root, f));
+
+  test('should report errors without executing files', () => {
+    const results = checkFiles(files);
+
+    expect(countErrors(results)).toBe(2);
+    expect(results[1].diagnostics[0]).toMatchObject({ code: 'TJS2003', file: files[1] });
+    expect(results[1].diagnostics[0].range.start).toEqual({ line: 2, column: 20 });
+    expect(results[2].diagnostics[0]).toMatchObject({ code: 'TJS1001', range: { start: { line: 1 } } });
+    expect(globalThis.__typedjsCheckRan).toBeUndefined();
+  });
+
+  test('should produce a JSON report', () => {
+    const report = JSON.parse(formatReport(checkFiles(files), 'json', root));
+
+    expect(report.errorCount).toBe(2);
+    expect(report.files.map(f => f.file)).toEqual(['ok.tjs', 'types.tjs', 'syntax.tjs']);
+  });
+
+  test('should produce a SARIF 2.1.0 report', () => {
+    const report = JSON.parse(formatReport(checkFiles(files), 'sarif', root));
+    const [run] = report.runs;
+
+    expect(report.version).toBe('2.1.0');
+    expect(run.tool.driver.name).toBe('TypedJS');
+    expect(run.results).toHaveLength(2);
+    expect(run.results[0].ruleId).toBe('TJS2003');
+    expect(run.results[0].relatedLocations[0].physicalLocation.region).toMatchObject({ startLine: 2, startColumn: 9 });
+    expect(run.results[1].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'syntax.tjs' },
+      region: { startLine: 1, startColumn: 8 }
+    });
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => formatReport([], 'xml')).toThrow(/Unknown report format/);
+  });
+});
+
+describe('Check - Glob Patterns', () => {
+  test('should translate glob syntax', () => {
+    expect(globToRegExp('src/**/*.tjs').test('src/a.tjs')).toBe(true);
+    expect(globToRegExp('src/**/*.tjs').test('src/deep/nested/a.tjs')).toBe(true);
+    expect(globToRegExp('src/*.tjs').test('src/deep/a.tjs')).toBe(false);
+    expect(globToRegExp('file?.tjs').test('file1.tjs')).toBe(true);
+  });
+
+  test('should expand files, directories and globs to .tjs files', () => {
+    const root = makeProject({
+      'src/a.tjs': '',
+      'src/lib/b.tjs': '',
+      'src/lib/c.js': '',
+      'other/d.tjs': ''
+    });
+
+    expect(expandPatterns(['src/**/*.tjs'], root)).toEqual([
+      path.join(root, 'src/a.tjs'),
+      path.join(root, 'src/lib/b.tjs')
+    ]);
+    expect(expandPatterns(['other', 'src/a.tjs'], root)).toEqual([
+      path.join(root, 'other/d.tjs'),
+      path.join(root, 'src/a.tjs')
+    ]);
+  });
+
+  test('should report explicitly named files that do not exist', () => {
+    const root = makeProject({ 'src/a.tjs': 'let a: number = 1;' });
+    const files = expandPatterns(['missing.tjs', 'src/a.tjs', 'nowhere/**/*.tjs'], root);
+    const results = checkFiles(files);
+
+    expect(files).toEqual([path.join(root, 'missing.tjs'), path.join(root, 'src/a.tjs')]);
+    expect(countErrors(results)).toBe(1);
+    expect(results[0].diagnostics[0]).toMatchObject({ code: 'TJS1002', file: path.join(root, 'missing.tjs') });
+  });
+});
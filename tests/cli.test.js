@@ -0,0 +1,36 @@
+/**
+ * CLI Tests
+ * Tests running .tjs programs through the typedjs command
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { makeProject, removeProjects, runCli } from './helpers.js';
+
+afterAll(removeProjects);
+
+describe('CLI - In-memory Execution', () => {
+  const root = makeProject({
+    'package.json': { type: 'module' },
+    'helper.js': 'export const greeting = "hi";',
+    'app.tjs': `
+      import { greeting } from './helper.js';
+      let url: string = import.meta.url;
+      console.log(greeting + " " + url);
+    `
+  });
+
+  test('should resolve imports and import.meta.url relative to the source file', () => {
+    const otherDir = makeProject();
+    const output = runCli([path.join(root, 'app.tjs')], otherDir);
+
+    expect(output).toContain(`hi file://${path.join(root, 'app.tjs')}`);
+    expect(fs.readdirSync(otherDir)).toEqual([]);
+  });
+
+  test('should not write generated files next to the source', () => {
+    runCli(['app.tjs'], root);
+
+    expect(fs.readdirSync(root).sort()).toEqual(['app.tjs', 'helper.js', 'package.json']);
+  });
+});
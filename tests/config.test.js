@@ -0,0 +1,159 @@
+/**
+ * Config Tests
+ * Tests loading typedjs.config.json / package.json "typedjs" and applying it
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, modeForFile, configuredSourceFiles, DEFAULT_CONFIG } from '../src/config/config.js';
+import { makeProject, removeProjects, runCli } from './helpers.js';
+
+afterAll(removeProjects);
+
+describe('Config - Loading', () => {
+  test('should fall back to defaults when no config exists', () => {
+    const root = makeProject({ 'app.tjs': '' });
+    const config = loadConfig(root);
+
+    expect(config.mode).toBe(DEFAULT_CONFIG.mode);
+    expect(config.configPath).toBeNull();
+    expect(config.rootDir).toBe(root);
+  });
+
+  test('should find typedjs.config.json in a parent directory', () => {
+    const root = makeProject({
+      'typedjs.config.json': { mode: 'strict', outDir: 'build' },
+      'src/app.tjs': ''
+    });
+    const config = loadConfig(path.join(root, 'src'));
+
+    expect(config.mode).toBe('strict');
+    expect(config.outDir).toBe('build');
+    expect(config.rootDir).toBe(root);
+  });
+
+  test('should read the typedjs key from package.json', () => {
+    const root = makeProject({
+      'package.json': { name: 'demo', typedjs: { mode: 'production', reporting: { format: 'json' } } }
+    });
+    const config = loadConfig(root);
+
+    expect(config.mode).toBe('production');
+    expect(config.reporting.format).toBe('json');
+    expect(config.configPath).toBe(path.join(root, 'package.json'));
+  });
+
+  test('should reject unknown keys and invalid values with every problem listed', () => {
+    const root = makeProject({
+      'typedjs.config.json': { mode: 'loose', outdir: 'dist', overrides: [{ files: 'src/**', mode: 'fast' }] }
+    });
+
+    expect(() => loadConfig(root)).toThrow(/Invalid TypedJS configuration in .*typedjs\.config\.json/);
+    expect(() => loadConfig(root)).toThrow(/'mode' must be one of 'development', 'production', 'strict', got "loose"/);
+    expect(() => loadConfig(root)).toThrow(/Unknown option 'outdir'/);
+    expect(() => loadConfig(root)).toThrow(/'overrides\[0\]\.mode' must be one of/);
+  });
+});
+
+describe('Config - Per-file Settings', () => {
+  test('should apply the last matching override', () => {
+    const root = makeProject({
+      'typedjs.config.json': {
+        mode: 'development',
+        overrides: [
+          { files: 'src/**', mode: 'production' },
+          { files: 'src/core/**', mode: 'strict' }
+        ]
+      }
+    });
+    const config = loadConfig(root);
+
+    expect(modeForFile(config, path.join(root, 'src/core/engine.tjs'))).toBe('strict');
+    expect(modeForFile(config, path.join(root, 'src/ui/view.tjs'))).toBe('production');
+    expect(modeForFile(config, path.join(root, 'scripts/seed.tjs'))).toBe('development');
+  });
+
+  test('should select sources with include and exclude globs', () => {
+    const root = makeProject({
+      'typedjs.config.json': { include: ['src/**/*.tjs'], exclude: ['src/**/*.spec.tjs'] },
+      'src/app.tjs': '',
+      'src/app.spec.tjs': '',
+      'scripts/seed.tjs': ''
+    });
+
+    expect(configuredSourceFiles(loadConfig(root))).toEqual([path.join(root, 'src/app.tjs')]);
+  });
+});
+
+describe('Config - CLI', () => {
+  test('should run files in the mode configured for their directory', () => {
+    const root = makeProject({
+      'typedjs.config.json': { overrides: [{ files: 'core/**', mode: 'strict' }] },
+      'core/math.tjs': 'export function half(n: number): number { return n / 2; }',
+      'app.tjs': `
+        import { half } from './core/math.tjs';
+        try { half("4"); console.log("no error"); } catch (e) { console.log("caught"); }
+      `
+    });
+
+    expect(runCli(['app.tjs'], root).trim()).toBe('caught');
+  });
+
+  test('should let command-line flags override the config', () => {
+    const root = makeProject({
+      'typedjs.config.json': { mode: 'strict' },
+      'app.tjs': `
+        function twice(n: number): number { return n * 2; }
+        try { twice("4"); console.log("no error"); } catch (e) { console.log("caught"); }
+      `
+    });
+
+    expect(runCli(['app.tjs'], root).trim()).toBe('caught');
+    expect(runCli(['app.tjs', '--mode', 'development'], root).trim()).toBe('no error');
+  });
+
+  test('should check casts when configured or flagged', () => {
+    const app = `
+      let input: unknown = "4";
+      try { console.log((input as number) + 1); } catch (e) { console.log("caught"); }
+    `;
+    const configured = makeProject({ 'typedjs.config.json': { mode: 'strict', checkedCasts: true }, 'app.tjs': app });
+    const flagged = makeProject({ 'typedjs.config.json': { mode: 'strict' }, 'app.tjs': app });
+
+    expect(runCli(['app.tjs'], configured).trim()).toBe('caught');
+    expect(runCli(['app.tjs'], flagged).trim()).toBe('41');
+    expect(runCli(['app.tjs', '--checked-casts'], flagged).trim()).toBe('caught');
+  });
+
+  test('should enforce readonly types when configured or flagged', () => {
+    const app = `
+      const sizes: readonly number[] = [1];
+      try { sizes.push(2); console.log(sizes.length); } catch (e) { console.log("caught"); }
+    `;
+    const configured = makeProject({ 'typedjs.config.json': { mode: 'strict', enforceReadonly: true }, 'app.tjs': app });
+    const flagged = makeProject({ 'typedjs.config.json': { mode: 'strict' }, 'app.tjs': app });
+
+    expect(runCli(['app.tjs'], configured).trim()).toBe('caught');
+    expect(runCli(['app.tjs'], flagged).trim()).toBe('2');
+    expect(runCli(['app.tjs', '--enforce-readonly'], flagged).trim()).toBe('caught');
+  });
+
+  test('should build the configured sources into the configured outDir', () => {
+    const root = makeProject({
+      'typedjs.config.json': { include: ['src/**/*.tjs'], outDir: 'lib' },
+      'src/app.tjs': 'let ok: number = 1;',
+      'scratch.tjs': 'let other: number = 2;'
+    });
+
+    runCli(['build'], root);
+
+    expect(fs.existsSync(path.join(root, 'lib/app.js'))).toBe(true);
+    expect(fs.existsSync(path.join(root, 'lib/scratch.js'))).toBe(false);
+  });
+
+  test('should report invalid config and exit non-zero', () => {
+    const root = makeProject({ 'typedjs.config.json': { watch: true }, 'app.tjs': '' });
+
+    expect(() => runCli(['app.tjs'], root)).toThrow(/Unknown option 'watch'/);
+  });
+});
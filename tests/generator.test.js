@@ -3,9 +3,17 @@
  * Tests the TypedJS code generator for both dev and prod modes
  */
 
+import { jest } from '@jest/globals';
+import { SourceMap } from 'module';
 import { generate } from '../src/generator/generator.js';
 import { parseCode } from '../src/parser/parser.js';
 
+// Evaluate the generated code and return the bindings listed in `names`
+const compile = (code, names, mode = 'strict', options = {}) => {
+  const { ast, typeRegistry } = parseCode(code);
+  return new Function(`${generate(ast, typeRegistry, mode, options)}\nreturn { ${names} };`)();
+};
+
 describe('Generator - Dev Mode', () => {
   test('should inject runtime checks for primitives', () => {
     const code = 'let age: number = 25;';
@@ -89,3 +97,672 @@ describe('Generator - Performance', () => {
     expect(prodOutput.length).toBeLessThan(devOutput.length);
   });
 });
+
+describe('Generator - Module Syntax', () => {
+  test('should erase exported interfaces and type aliases', () => {
+    const code = `
+      export interface User { name: string }
+      export type ID = string | number;
+      export function getId(): ID { return 1; }
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+    const output = generate(ast, typeRegistry, 'production');
+
+    expect(output).not.toContain('interface');
+    expect(output).not.toContain('type ID');
+    expect(output).toContain('export function getId()');
+  });
+
+  test('should elide imports that are only used as types', () => {
+    const code = `
+      import type { Config } from './config.tjs';
+      import { User, makeUser } from './models.tjs';
+      let user: User = makeUser();
+    `;
+    const { ast, typeRegistry } = parseCode(code);
+    const output = generate(ast, typeRegistry, 'production');
+
+    expect(output).not.toContain('./config.tjs');
+    expect(output).not.toMatch(/\bUser,/);
+    expect(output).toContain('makeUser');
+  });
+
+  test('should keep exported enums as runtime values', () => {
+    const code = 'export enum Color { Red, Green }';
+    const { ast, typeRegistry } = parseCode(code);
+    const output = generate(ast, typeRegistry, 'production');
+
+    expect(output).toContain('const Color = {');
+    expect(output).toMatch(/export {\s*Color\s*}/);
+  });
+});
+
+describe('Generator - Source Maps', () => {
+  test('should return code and a map when sourceMap is enabled', () => {
+    const code = 'function add(a: number, b: number): number {\n  return a + b;\n}';
+    const { ast, typeRegistry } = parseCode(code);
+    const { code: output, map } = generate(ast, typeRegistry, 'development', {
+      sourceMap: true,
+      sourceFile: 'math.tjs',
+      sourceContent: code
+    });
+
+    expect(output).toContain('function add(__arg_a, __arg_b)');
+    expect(map.version).toBe(3);
+    expect(map.sources).toEqual(['math.tjs', 'typedjs:runtime']);
+    expect(map.sourcesContent[0]).toBe(code);
+  });
+
+  test('should offset mappings past the prepended runtime helpers', () => {
+    const code = 'enum Color { Red }\nlet x = 1;\n  let y = x;';
+    const { ast, typeRegistry } = parseCode(code);
+    const { code: output, map } = generate(ast, typeRegistry, 'development', { sourceMap: true, sourceFile: 'app.tjs' });
+    const lines = output.split('\n');
+    const sourceMap = new SourceMap(map);
+
+    expect(sourceMap.findEntry(lines.indexOf('let x = 1;'), 4)).toMatchObject({ originalSource: 'app.tjs', originalLine: 1, originalColumn: 4 });
+    expect(sourceMap.findEntry(lines.indexOf('let y = x;'), 0)).toMatchObject({ originalSource: 'app.tjs', originalLine: 2, originalColumn: 2 });
+  });
+
+  test('should map the runtime helpers to their own source', () => {
+    const { ast, typeRegistry } = parseCode('let x: number = 1;');
+    const { code: output, map } = generate(ast, typeRegistry, 'development', { sourceMap: true, sourceFile: 'app.tjs' });
+    const helperLine = output.split('\n').findIndex(line => line.startsWith('function __valueStr__'));
+    const sourceMap = new SourceMap(map);
+
+    expect(map.sources).toEqual(['app.tjs', 'typedjs:runtime']);
+    expect(sourceMap.findEntry(helperLine, 9)).toMatchObject({ originalSource: 'typedjs:runtime', originalLine: helperLine, originalColumn: 9 });
+    expect(map.sourcesContent[1].split('\n')[helperLine]).toBe(output.split('\n')[helperLine]);
+  });
+});
+
+describe('Generator - Interface Inheritance', () => {
+  test('should check inherited members at runtime', () => {
+    const code = `
+      interface User { id: number; name: string }
+      interface Admin extends User { role: string }
+      function promote(admin: Admin): string { return admin.role; }
+    `;
+    const { promote } = compile(code, 'promote');
+
+    expect(promote({ id: 1, name: 'Ada', role: 'root' })).toBe('root');
+    expect(() => promote({ id: 1, role: 'root' })).toThrow(/admin\.name/);
+  });
+});
+
+describe('Generator - Generic Instantiation', () => {
+  test('should check instantiated generic parameters at runtime', () => {
+    const code = `
+      type Box<T> = { value: T };
+      function unbox(box: Box<number>): number { return box.value; }
+    `;
+    const { unbox } = compile(code, 'unbox');
+
+    expect(unbox({ value: 42 })).toBe(42);
+    expect(() => unbox({ value: 'x' })).toThrow(/box\.value expected number/);
+  });
+});
+
+describe('Generator - Utility Types', () => {
+  test('should check exactly the picked properties at runtime', () => {
+    const code = `
+      interface User { id: number; name: string; email: string }
+      function label(user: Pick<User, "id" | "name">): string { return user.name; }
+    `;
+    const { label } = compile(code, 'label');
+
+    expect(label({ id: 1, name: 'Ada' })).toBe('Ada');
+    expect(() => label({ id: 1 })).toThrow(/user\.name expected string/);
+  });
+
+  test('should reject null and undefined for NonNullable', () => {
+    const code = `
+      function shout(text: NonNullable<string | null>): string { return text; }
+    `;
+    const { shout } = compile(code, 'shout');
+
+    expect(shout('hi')).toBe('hi');
+    expect(() => shout(null)).toThrow(/text expected string/);
+    expect(() => shout(undefined)).toThrow(/text expected string/);
+  });
+});
+
+describe('Generator - Recursive Types', () => {
+  test('should validate recursive structures at any depth', () => {
+    const code = `
+      interface TreeNode { value: number; children: TreeNode[] }
+      function count(node: TreeNode): number { return 1; }
+    `;
+    const { count } = compile(code, 'count');
+    const leaf = value => ({ value, children: [] });
+
+    expect(count({ value: 1, children: [{ value: 2, children: [leaf(3)] }] })).toBe(1);
+    expect(() => count({ value: 1, children: [{ value: 2, children: [leaf('3')] }] })).toThrow(/node\.children expected TreeNode/);
+  });
+
+  test('should terminate on cyclic values', () => {
+    const code = `
+      type Ring<T> = { value: T; next: Ring<T> };
+      function first(ring: Ring<string>): string { return ring.value; }
+    `;
+    const { first } = compile(code, 'first');
+    const a = { value: 'a' };
+    a.next = { value: 'b', next: a };
+
+    expect(first(a)).toBe('a');
+    a.next.next = { value: 3, next: a };
+    expect(() => first(a)).toThrow(/ring\.next/);
+  });
+});
+
+describe('Generator - Function Expressions', () => {
+  test('should check arrow function parameters and expression bodies', () => {
+    const { double, label } = compile(`
+      const double = (x: number): number => x * 2;
+      const label = (x: number): string => x;
+    `, 'double, label');
+
+    expect(double(2)).toBe(4);
+    expect(() => double('2')).toThrow(/x expected number/);
+    expect(() => label(1)).toThrow(/Return value expected string/);
+  });
+
+  test('should check function expressions, object methods and callbacks', () => {
+    const { handler, api, lengths } = compile(`
+      const handler = function (req: { id: number }): number { return req.id; };
+      const api = { find(id: string): string { if (id) return id; return "none"; } };
+      const lengths = (items: unknown[]) => items.map((s: string) => s.length);
+    `, 'handler, api, lengths');
+
+    expect(handler({ id: 1 })).toBe(1);
+    expect(() => handler({ id: '1' })).toThrow(/req\.id expected number/);
+    expect(api.find('a')).toBe('a');
+    expect(() => api.find(1)).toThrow(/id expected string/);
+    expect(lengths(['ab'])).toEqual([2]);
+    expect(() => lengths([1])).toThrow(/s expected string/);
+  });
+
+  test('should check returns nested in blocks and allow reassigning parameters', () => {
+    const { clamp } = compile(`
+      function clamp(n: number, max?: number): number {
+        max = max ?? 10;
+        if (n > max) return max;
+        return n > 0 ? n : "negative";
+      }
+    `, 'clamp');
+
+    expect(clamp(20)).toBe(10);
+    expect(clamp(5, 8)).toBe(5);
+    expect(() => clamp(-1)).toThrow(/Return value expected number/);
+  });
+});
+
+describe('Generator - Classes', () => {
+  test('should check constructor arguments and parameter properties', () => {
+    const { Point } = compile(`
+      class Base { kind: string = "shape"; }
+      class Point extends Base {
+        constructor(public x: number, private readonly y: number = 0) { super(); }
+      }
+    `, 'Point');
+
+    const p = new Point(1, 2);
+    expect([p.kind, p.x, p.y]).toEqual(['shape', 1, 2]);
+    expect(() => new Point('1')).toThrow(/x expected number/);
+  });
+
+  test('should check methods, accessors and static members', () => {
+    const { Counter } = compile(`
+      class Counter {
+        static instances: number = 0;
+        count: number = 0;
+        constructor() { Counter.instances++; }
+        add(n: number): number { this.count += n; return this.count; }
+        get label(): string { return this.count > 1 ? "many" : this.count; }
+        set value(v: number) { this.count = v; }
+        static create(start: number): Counter { const c = new Counter(); c.value = start; return c; }
+      }
+    `, 'Counter');
+
+    const c = Counter.create(2);
+    expect(Counter.instances).toBe(1);
+    expect(c.add(1)).toBe(3);
+    expect(c.label).toBe('many');
+    expect(() => c.add('1')).toThrow(/n expected number/);
+    expect(() => { c.value = '1'; }).toThrow(/v expected number/);
+    expect(() => Counter.create(null)).toThrow(/start expected number/);
+    c.value = 1;
+    expect(() => c.label).toThrow(/Return value expected string/);
+  });
+
+  test('should check typed field initializers', () => {
+    const { Config } = compile(`
+      class Config {
+        static fallback: any = "80";
+        port: number = Config.fallback;
+      }
+    `, 'Config');
+
+    expect(() => new Config()).toThrow(/Config\.port expected number/);
+    expect(() => compile('class Flags { static names: string[] = [1]; }', 'Flags'))
+      .toThrow(/Flags\.names expected string/);
+  });
+});
+
+describe('Generator - Typed Variables', () => {
+  test('should check initializers that are not literals', () => {
+    expect(() => compile(`
+      interface User { id: number }
+      const user: User = JSON.parse('{"id":"1"}');
+    `, 'user')).toThrow(/user\.id expected number/);
+  });
+
+  test('should check reassignments, compound assignments and updates', () => {
+    const { set, append, next } = compile(`
+      let count: number = 0;
+      let label: string = "a";
+      const set = (v) => { count = v; return count; };
+      const append = (v) => (label += v);
+      const next = () => label++;
+    `, 'set, append, next');
+
+    expect(set(2)).toBe(2);
+    expect(() => set('2')).toThrow(/count expected number/);
+    expect(append(1)).toBe('a1');
+    expect(() => next()).toThrow(/label expected string/);
+  });
+
+  test('should keep the value of postfix updates and respect shadowing', () => {
+    const { bump, shadow } = compile(`
+      let n: number = 1;
+      const bump = () => n++;
+      function shadow(n) { n = "untyped"; return n; }
+    `, 'bump, shadow');
+
+    expect(bump()).toBe(1);
+    expect(bump()).toBe(2);
+    expect(shadow(1)).toBe('untyped');
+  });
+
+  test('should check each element of a tuple rest against its element type', () => {
+    const { row, maybe, setRow } = compile(`
+      let row: [number, ...string[]] = [1, "a", "b", "c"];
+      let maybe: [number, ...string[]] | null = [1, "a"];
+      const setRow = (value) => { row = value; };
+    `, 'row, maybe, setRow');
+
+    expect(row).toEqual([1, 'a', 'b', 'c']);
+    expect(maybe).toEqual([1, 'a']);
+    expect(() => setRow([1, 'a', 2])).toThrow(/row expected string, got 2/);
+  });
+});
+
+describe('Generator - Async Functions', () => {
+  test('should check the value an async function resolves to', async () => {
+    const { load, count } = compile(`
+      interface User { id: number }
+      async function load(raw: string): Promise<User> { return JSON.parse(raw); }
+      const count = async (): Promise<number> => Promise.resolve("3");
+    `, 'load, count');
+
+    await expect(load('{"id":1}')).resolves.toEqual({ id: 1 });
+    await expect(load('{"id":"1"}')).rejects.toThrow(/load\(\)\.id expected number/);
+    await expect(count()).rejects.toThrow(/count\(\) expected number/);
+  });
+
+  test('should require functions returning Promise<T> to return a thenable', async () => {
+    const { later } = compile(`
+      function later(value): Promise<string> { return value; }
+    `, 'later');
+
+    await expect(later(Promise.resolve('a'))).resolves.toBe('a');
+    await expect(later(Promise.resolve(1))).rejects.toThrow(/later\(\) expected string/);
+    expect(() => later('a')).toThrow(/later\(\) expected Promise, got a/);
+  });
+});
+
+describe('Generator - Generator Functions', () => {
+  test('should check yielded, returned and sent values', () => {
+    const { counter } = compile(`
+      function* counter(limit: number): Generator<number, string, boolean> {
+        for (let i = 0; i < limit; i++) {
+          if (yield i) return i;
+        }
+        return "done";
+      }
+    `, 'counter');
+
+    expect([...counter(2)]).toEqual([0, 1]);
+    expect(() => counter('2').next()).toThrow(/limit expected number/);
+    const sent = counter(2);
+    sent.next();
+    expect(() => sent.next('yes')).toThrow(/Value passed to next\(\) expected boolean/);
+    const stopped = counter(2);
+    stopped.next();
+    expect(() => stopped.next(true)).toThrow(/Return value expected string, got 0/);
+  });
+
+  test('should check values delegated with yield*', () => {
+    const { letters } = compile(`
+      function* letters(extra): Iterable<string> { yield "a"; yield* extra; }
+    `, 'letters');
+
+    expect([...letters(['b'])]).toEqual(['a', 'b']);
+    expect(() => [...letters([1])]).toThrow(/Yielded value expected string, got 1/);
+  });
+
+  test('should check async generators', async () => {
+    const { stream } = compile(`
+      async function* stream(values): AsyncGenerator<number> {
+        for (const v of values) yield v;
+      }
+    `, 'stream');
+
+    const collect = async (values) => {
+      const out = [];
+      for await (const v of stream(values)) out.push(v);
+      return out;
+    };
+    await expect(collect([1, Promise.resolve(2)])).resolves.toEqual([1, 2]);
+    await expect(collect([1, '2'])).rejects.toThrow(/Yielded value expected number, got 2/);
+  });
+
+  test('should check generator methods that use super', async () => {
+    const { Child } = compile(`
+      class Base {
+        get start() { return 1; }
+        *count() { yield 2; }
+        async *stream() { yield 2; }
+      }
+      class Child extends Base {
+        *count(extra): Generator<number> { yield super.start; yield* super.count(); yield extra; }
+        async *stream(extra): AsyncGenerator<number> { yield (() => super.start)(); yield* super.stream(); yield extra; }
+      }
+    `, 'Child');
+    const collect = async (values) => {
+      const out = [];
+      for await (const v of values) out.push(v);
+      return out;
+    };
+
+    expect([...new Child().count(3)]).toEqual([1, 2, 3]);
+    expect(() => [...new Child().count('3')]).toThrow(/Yielded value expected number, got 3/);
+    await expect(collect(new Child().stream(3))).resolves.toEqual([1, 2, 3]);
+    await expect(collect(new Child().stream('3'))).rejects.toThrow(/Yielded value expected number/);
+  });
+});
+
+describe('Generator - Function Contracts', () => {
+  test('should require function-typed values to be callable', () => {
+    const { apply } = compile(`
+      function apply(fn: (n: number) => string) { return fn(1); }
+    `, 'apply');
+
+    expect(() => apply(5)).toThrow(/fn expected \(n: number\) => string, got 5/);
+  });
+
+  test('should blame the caller for bad arguments and the callee for bad returns', () => {
+    const { apply, misuse } = compile(`
+      type Mapper = (n: number) => string;
+      function apply(xs: number[], fn: Mapper): string[] { return xs.map(x => fn(x)); }
+      function misuse(fn: Mapper) { return fn("1"); }
+    `, 'apply, misuse');
+
+    expect(apply([1], n => `#${n}`)).toEqual(['#1']);
+    expect(() => apply([1], n => n)).toThrow(/fn return value expected string, got 1 \(blame: callee\)/);
+    expect(() => misuse(String)).toThrow(/fn argument n expected number, got 1 \(blame: caller\)/);
+  });
+
+  test('should wrap returned functions, variables and interface methods', () => {
+    const { adder, useLogger, Console, handler } = compile(`
+      interface Logger { log(msg: string): boolean }
+      function adder(n: number): (m: number) => number { return (m) => n + m; }
+      function useLogger(logger: Logger, msg) { return logger.log(msg); }
+      class Console { log(msg) { return this instanceof Console; } }
+      const handler: (s: string) => number = (s) => s.length;
+    `, 'adder, useLogger, Console, handler');
+
+    expect(adder(1)(2)).toBe(3);
+    expect(() => adder(1)('2')).toThrow(/adder\(\) argument m expected number/);
+    expect(useLogger(new Console(), 'hi')).toBe(true);
+    expect(() => useLogger(new Console(), 42)).toThrow(/logger\.log argument msg expected string/);
+    expect(() => useLogger({}, 'hi')).toThrow(/logger\.log expected/);
+    expect(handler('abc')).toBe(3);
+    expect(() => handler(3)).toThrow(/handler argument s expected string/);
+  });
+
+  test('should ignore results of void callbacks and keep wrapper identity', () => {
+    const { on, off, count, each } = compile(`
+      const listeners = [];
+      function on(cb: () => void) { listeners.push(cb); }
+      function off(cb: () => void) { listeners.splice(listeners.indexOf(cb), 1); }
+      const count = () => listeners.length;
+      function each(xs: number[], cb: (x: number) => void) { xs.forEach(x => cb(x)); }
+    `, 'on, off, count, each');
+
+    const listener = () => 1;
+    on(listener);
+    off(listener);
+    expect(count()).toBe(0);
+    expect(() => each([1], x => x * 2)).not.toThrow();
+  });
+});
+
+describe('Generator - Destructured and Defaulted Parameters', () => {
+  test('should check destructured parameters against their annotation', () => {
+    const { greet } = compile(`
+      interface User { id: number; name: string }
+      function greet({ id, name: label, ...rest }: User, [first, second = "b"]: string[]) {
+        return [id, label, rest, first, second];
+      }
+    `, 'greet');
+
+    expect(greet({ id: 1, name: 'a', extra: true }, ['x'])).toEqual([1, 'a', { extra: true }, 'x', 'b']);
+    expect(() => greet({ id: '1', name: 'a' }, [])).toThrow(/\{ id, name: label, \.\.\.rest \}\.id expected number/);
+    expect(() => greet({ id: 1, name: 'a' }, [1])).toThrow(/\[first, second\] expected string/);
+  });
+
+  test('should check defaulted parameters after the default is applied', () => {
+    const { page } = compile(`
+      function page(limit: number = 10, offset = limit * 2, { sort = "id" }: { sort?: string } = {}) {
+        return [limit, offset, sort];
+      }
+    `, 'page');
+
+    expect(page()).toEqual([10, 20, 'id']);
+    expect(page(undefined, 1, { sort: 'name' })).toEqual([10, 1, 'name']);
+    expect(page.length).toBe(0);
+    expect(() => page('5')).toThrow(/limit expected number, got 5/);
+    expect(() => page(1, 2, { sort: 3 })).toThrow(/\{ sort \}\.sort expected string/);
+  });
+});
+
+describe('Generator - Type Guards and Assertion Functions', () => {
+  test('should check the guarded argument when a type guard returns true', () => {
+    const { isUser } = compile(`
+      interface User { name: string }
+      function isUser(value: unknown): value is User {
+        return typeof value === 'object' && value !== null;
+      }
+    `, 'isUser');
+
+    expect(isUser({ name: 'a' })).toBe(true);
+    expect(isUser(1)).toBe(false);
+    expect(() => isUser({ name: 1 })).toThrow(/Type guard isUser\(\): value\.name expected string, got 1/);
+  });
+
+  test('should check the guarded argument, not a reassigned parameter', () => {
+    const { isSmall } = compile(`
+      const isSmall = (n: number): n is 1 | 2 => (n = 1) > 0;
+    `, 'isSmall');
+
+    expect(isSmall(2)).toBe(true);
+    expect(() => isSmall(5)).toThrow(/Type guard isSmall\(\): n expected 1 \| 2, got 5/);
+  });
+
+  test('should check this for guards on this', () => {
+    const { Shape } = compile(`
+      class Shape {
+        constructor(public sides: unknown) {}
+        isPolygon(): this is { sides: number } { return true; }
+      }
+    `, 'Shape');
+
+    expect(new Shape(3).isPolygon()).toBe(true);
+    expect(() => new Shape('3').isPolygon()).toThrow(/Type guard isPolygon\(\): this\.sides expected number/);
+  });
+
+  test('should check assertion functions whenever they return normally', () => {
+    const { assertText, assertOk } = compile(`
+      function assertText(value: unknown, strict: boolean): asserts value is string {
+        if (!strict) return;
+        if (value == null) throw new RangeError('missing');
+      }
+      function assertOk(cond: unknown): asserts cond {}
+    `, 'assertText, assertOk');
+
+    expect(assertText('a', true)).toBeUndefined();
+    expect(() => assertText(null, true)).toThrow(RangeError);
+    expect(() => assertText(1, true)).toThrow(/Assertion assertText\(\): value expected string, got 1/);
+    expect(() => assertText(1, false)).toThrow(/Assertion assertText\(\): value expected string, got 1/);
+    expect(() => assertOk(0)).toThrow(/Assertion assertOk\(\): cond expected truthy value, got 0/);
+  });
+});
+
+describe('Generator - Type Assertions', () => {
+  const source = `
+    interface User { name: string }
+    const parse = (json: string) => JSON.parse(json) as User;
+    const length = (value: unknown) => (value as string).length;
+    const directions = ["north", "south"] as const;
+    const first = (items: string[]) => items[0]!;
+  `;
+
+  test('should erase casts, as const and non-null assertions by default', () => {
+    const { parse, length, directions, first } = compile(source, 'parse, length, directions, first');
+
+    expect(parse('{"name":1}')).toEqual({ name: 1 });
+    expect(length(5)).toBeUndefined();
+    expect(directions).toEqual(['north', 'south']);
+    expect(first([])).toBeUndefined();
+  });
+
+  test('should check casts when checkedCasts is set', () => {
+    const { parse, length, directions } = compile(source, 'parse, length, directions', 'strict', { checkedCasts: true });
+
+    expect(parse('{"name":"a"}')).toEqual({ name: 'a' });
+    expect(() => parse('{"name":1}')).toThrow(/Cast to User: value\.name expected string, got 1/);
+    expect(() => length(5)).toThrow(/Cast to string: value expected string, got 5/);
+    expect(directions).toEqual(['north', 'south']);
+  });
+
+  test('should check satisfies at runtime unless the expression is a literal', () => {
+    const { settings, limits } = compile(`
+      const env: unknown = { port: "80" };
+      const settings = () => env satisfies { port: number };
+      const limits = { max: 10 } satisfies Record<string, number>;
+    `, 'settings, limits');
+
+    expect(() => settings()).toThrow(/Satisfies object: env\.port expected number/);
+    expect(limits).toEqual({ max: 10 });
+  });
+});
+
+describe('Generator - Class and Built-in Instances', () => {
+  test('should check classes declared in the module with instanceof', () => {
+    const { transfer, Account, Savings } = compile(`
+      function transfer(from: Account, to: Account | null): string {
+        return from.id;
+      }
+      class Account { constructor(public id: string) {} }
+      class Savings extends Account {}
+    `, 'transfer, Account, Savings');
+
+    expect(transfer(new Account('a'), null)).toBe('a');
+    expect(transfer(new Savings('s'), new Account('b'))).toBe('s');
+    expect(() => transfer({ id: 'a' }, null)).toThrow(/from expected Account, got \{"id":"a"\}/);
+    expect(() => transfer(new Account('a'), {})).toThrow(/to expected Account \| null/);
+  });
+
+  test('should fail instance checks that run before the class is declared', () => {
+    const { early, earlyError } = compile(`
+      function keep(account: Account | null) { return account; }
+      const early = keep(null);
+      let earlyError = null;
+      try { keep({}); } catch (e) { earlyError = e.message; }
+      class Account {}
+    `, 'early, earlyError');
+
+    expect(early).toBeNull();
+    expect(earlyError).toMatch(/account expected Account \| null, got \{\}/);
+  });
+
+  test('should check built-in objects and keep interfaces structural', () => {
+    const { record } = compile(`
+      interface Entry { text: string }
+      function record(at: Date, pattern: RegExp, bytes: Uint8Array, err: Error | undefined, entry: Entry): number {
+        return bytes.length;
+      }
+    `, 'record');
+
+    expect(record(new Date(), /x/, new Uint8Array(2), new TypeError('t'), { text: 'a' })).toBe(2);
+    expect(() => record('2024-01-01', /x/, new Uint8Array(2), undefined, { text: 'a' })).toThrow(/at expected Date/);
+    expect(() => record(new Date(), 'x', new Uint8Array(2), undefined, { text: 'a' })).toThrow(/pattern expected RegExp/);
+    expect(() => record(new Date(), /x/, [1, 2], undefined, { text: 'a' })).toThrow(/bytes expected Uint8Array/);
+    expect(() => record(new Date(), /x/, new Uint8Array(2), { message: 'm' }, { text: 'a' })).toThrow(/err expected Error \| undefined/);
+  });
+});
+
+describe('Generator - Readonly Enforcement', () => {
+  const enforceReadonly = { enforceReadonly: true };
+
+  test('should report writes through readonly-typed bindings and parameters', () => {
+    const { point, items, move } = compile(`
+      interface Point { readonly x: number; y: number }
+      const point: Point = { x: 1, y: 2 };
+      const items: readonly number[] = [1, 2];
+      function move(target: { readonly at: Point }) { target.at.y = 5; target.at.x = 5; }
+    `, 'point, items, move', 'strict', enforceReadonly);
+
+    point.y = 3;
+    expect(point).toEqual({ x: 1, y: 3 });
+    expect(() => { point.x = 2; }).toThrow(/Cannot assign to point\.x, a read-only property of Point/);
+    expect(() => { delete point.x; }).toThrow(/Cannot delete point\.x/);
+    expect(items.map(n => n * 2)).toEqual([2, 4]);
+    expect(() => items.push(3)).toThrow(/Cannot call items\.push\(\) on ReadonlyArray<number>/);
+    expect(() => { items[0] = 3; }).toThrow(/Cannot assign to items\[0\], a read-only element of ReadonlyArray<number>/);
+    expect(() => move({ at: { x: 0, y: 0 } })).toThrow(/Cannot assign to target\.at\.x, a read-only property of Point/);
+  });
+
+  test('should make readonly class fields read-only once constructed', () => {
+    const { Account } = compile(`
+      class Account {
+        static readonly LIMIT: number = 3;
+        readonly id: number;
+        constructor(id: number, private readonly owner: string) { this.id = id; }
+      }
+    `, 'Account', 'strict', enforceReadonly);
+    const account = new Account(1, 'me');
+
+    expect(account.id).toBe(1);
+    expect(JSON.stringify(account)).toBe('{"owner":"me","id":1}');
+    expect(() => { account.id = 2; }).toThrow(/Cannot assign to id, a read-only property of Account/);
+    expect(() => { account.owner = 'you'; }).toThrow(/Cannot assign to owner/);
+    expect(() => { Account.LIMIT = 4; }).toThrow(/Cannot assign to Account\.LIMIT/);
+  });
+
+  test('should warn in development and leave production output alone', () => {
+    const source = 'interface Point { readonly x: number }\nconst point: Point = { x: 1 };';
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { point } = compile(source, 'point', 'development', enforceReadonly);
+    point.x = 2;
+    const warning = errorSpy.mock.calls[0]?.[0];
+    errorSpy.mockRestore();
+
+    expect(point.x).toBe(2);
+    expect(warning).toContain('Cannot assign to point.x, a read-only property of Point');
+    const production = compile(source, 'point', 'production', enforceReadonly).point;
+    production.x = 3;
+    expect(production.x).toBe(3);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Shared Test Helpers
+ * Temporary projects on disk and running the CLI against them
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cliPath = path.resolve(__dirname, '../src/cli.js');
+const projects = [];
+
+/**
+ * Create a temporary directory holding `files`, keyed by relative path.
+ * Contents that are not strings are written as JSON. Test files remove the
+ * directories with `afterAll(removeProjects)`.
+ */
+export function makeProject(files = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'typedjs-test-'));
+  projects.push(root);
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(root, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+export function removeProjects() {
+  for (const root of projects.splice(0)) {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+export function runCli(args, cwd) {
+  return execFileSync(process.execPath, [cliPath, ...args], {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    cwd,
+    timeout: 10000
+  });
+}
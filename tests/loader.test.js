@@ -0,0 +1,60 @@
+/**
+ * Loader Tests
+ * Tests running multi-file .tjs programs through the ESM loader hooks
+ */
+
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { makeProject, removeProjects } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const registerUrl = pathToFileURL(path.resolve(__dirname, '../src/loader/register.js')).href;
+
+afterAll(removeProjects);
+
+function runWithLoader(entry, env = {}) {
+  return execFileSync(process.execPath, ['--import', registerUrl, entry], {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    env: { ...process.env, ...env },
+    timeout: 10000
+  });
+}
+
+describe('Loader - .tjs imports', () => {
+  const root = makeProject({
+    'models.tjs': `
+      export interface User { name: string }
+      export function makeUser(name: string): User { return { name }; }
+    `,
+    'app.tjs': `
+      import { makeUser } from './models.tjs';
+      const user: { name: string } = makeUser("Ada");
+      console.log("hello " + user.name);
+    `,
+    'bad.tjs': `
+      import { makeUser } from './models.tjs';
+      makeUser(42);
+    `,
+    'throws.tjs': [
+      'function fail(reason: string): never {',
+      '  throw new Error(reason);',
+      '}',
+      'fail("boom");'
+    ].join('\n')
+  });
+
+  test('should compile imported .tjs modules on demand', () => {
+    const output = runWithLoader(path.join(root, 'app.tjs'));
+    expect(output).toContain('hello Ada');
+  });
+
+  test('should apply runtime checks inside imported modules', () => {
+    expect(() => runWithLoader(path.join(root, 'bad.tjs'), { TYPEDJS_MODE: 'strict' })).toThrow(/name expected string/);
+  });
+
+  test('should report stack traces at original .tjs positions', () => {
+    expect(() => runWithLoader(path.join(root, 'throws.tjs'))).toThrow(/throws\.tjs:2:9/);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Language Server Tests
+ * Tests diagnostics, hover and go-to-definition over the LSP protocol
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLanguageServer } from '../src/lsp/server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cliPath = path.resolve(__dirname, '../src/cli.js');
+const uri = 'file:///project/app.tjs';
+
+function openServer(text) {
+  const sent = [];
+  const server = createLanguageServer({ send: message => sent.push(message), exit: () => {} });
+  server.handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+  server.handle({
+    jsonrpc: '2.0',
+    method: 'textDocument/didOpen',
+    params: { textDocument: { uri, languageId: 'typedjs', version: 1, text } }
+  });
+  const request = (method, params) => {
+    server.handle({ jsonrpc: '2.0', id: 99, method, params });
+    return sent.filter(m => m.id === 99).pop();
+  };
+  return { server, sent, request };
+}
+
+const published = sent => sent.filter(m => m.method === 'textDocument/publishDiagnostics');
+
+describe('LSP - Diagnostics', () => {
+  test('should publish static errors with 0-based ranges', () => {
+    const { sent } = openServer('let count: number = "one";');
+    const [{ params }] = published(sent);
+
+    expect(params.uri).toBe(uri);
+    expect(params.diagnostics).toHaveLength(1);
+    expect(params.diagnostics[0]).toMatchObject({
+      code: 'TJS2003',
+      severity: 1,
+      source: 'typedjs',
+      range: { start: { line: 0, character: 20 }, end: { line: 0, character: 25 } }
+    });
+    expect(params.diagnostics[0].relatedInformation[0].location.uri).toBe(uri);
+  });
+
+  test('should re-publish on change and report syntax errors', () => {
+    const { server, sent } = openServer('let ok: number = 1;');
+    server.handle({
+      jsonrpc: '2.0',
+      method: 'textDocument/didChange',
+      params: { textDocument: { uri, version: 2 }, contentChanges: [{ text: 'let ok: number = ;' }] }
+    });
+
+    const [first, second] = published(sent);
+    expect(first.params.diagnostics).toEqual([]);
+    expect(second.params.version).toBe(2);
+    expect(second.params.diagnostics[0].code).toBe('TJS1001');
+  });
+});
+
+describe('LSP - Hover', () => {
+  const text = [
+    'interface User { id: number; name: string }',
+    'function greet(user: User, loud?: boolean): string {',
+    '  return user.name;',
+    '}',
+    'const total: number = 1;'
+  ].join('\n');
+
+  test('should show variable types', () => {
+    const { request } = openServer(text);
+    const { result } = request('textDocument/hover', { textDocument: { uri }, position: { line: 4, character: 7 } });
+
+    expect(result.contents.value).toContain('const total: number');
+    expect(result.range.start).toEqual({ line: 4, character: 6 });
+  });
+
+  test('should show parameter types where they are used', () => {
+    const { request } = openServer(text);
+    const { result } = request('textDocument/hover', { textDocument: { uri }, position: { line: 2, character: 10 } });
+
+    expect(result.contents.value).toContain('(parameter) user: { id: number, name: string }');
+  });
+
+  test('should show interface shapes', () => {
+    const { request } = openServer(text);
+    const { result } = request('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 12 } });
+
+    expect(result.contents.value).toContain('interface User { id: number, name: string }');
+  });
+
+  test('should return null away from identifiers', () => {
+    const { request } = openServer(text);
+    const { result } = request('textDocument/hover', { textDocument: { uri }, position: { line: 3, character: 0 } });
+
+    expect(result).toBeNull();
+  });
+});
+
+describe('LSP - Go to Definition', () => {
+  test('should jump to interfaces, type aliases and enums', () => {
+    const text = [
+      'interface Point { x: number }',
+      'type Id = string | number;',
+      'enum Color { Red, Green }',
+      'let p: Point = { x: 1 };',
+      'let id: Id = 1;',
+      'let c: Color = Color.Red;'
+    ].join('\n');
+    const { request } = openServer(text);
+    const definition = (line, character) =>
+      request('textDocument/definition', { textDocument: { uri }, position: { line, character } }).result;
+
+    expect(definition(3, 8).range.start).toEqual({ line: 0, character: 10 });
+    expect(definition(4, 9).range.start).toEqual({ line: 1, character: 5 });
+    expect(definition(5, 16).range.start).toEqual({ line: 2, character: 5 });
+    expect(definition(3, 1)).toBeNull();
+  });
+});
+
+describe('LSP - stdio', () => {
+  test('should answer framed requests from typedjs lsp and exit cleanly', async () => {
+    const child = spawn(process.execPath, [cliPath, 'lsp'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    const frame = message => {
+      const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+      return `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+    };
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    const timer = setTimeout(() => child.kill(), 10000);
+
+    child.stdin.write(frame({ id: 1, method: 'initialize', params: {} }));
+    child.stdin.write(frame({ id: 2, method: 'shutdown' }));
+    child.stdin.write(frame({ method: 'exit' }));
+
+    const code = await exited;
+    clearTimeout(timer);
+
+    expect(code).toBe(0);
+    expect(output).toMatch(/^Content-Length: \d+\r\n\r\n/);
+    expect(output).toContain('"hoverProvider":true');
+    expect(output).toContain('"id":2,"result":null');
+  });
+});
@@ -88,6 +88,235 @@ describe('Parser - Interfaces', () => {
   });
 });
 
+describe('Parser - Interface Inheritance', () => {
+  const shapeOf = (typeRegistry, name) => typeRegistry.find(t => t.name === name).shape;
+
+  test('should merge members from every base in declaration order', () => {
+    const code = `
+      interface Named { name: string }
+      interface Dated { created: number }
+      interface Admin extends Named, Dated { role: string }
+    `;
+    const { typeRegistry } = parseCode(code);
+    const admin = shapeOf(typeRegistry, 'Admin');
+
+    expect(Object.keys(admin).filter(k => !k.startsWith('__'))).toEqual(['name', 'created', 'role']);
+    expect(admin.__extends).toEqual(['Named', 'Dated']);
+  });
+
+  test('should let derived members override inherited ones', () => {
+    const code = `
+      interface Base { readonly id: number | string; label: string }
+      interface Derived extends Base { id: number }
+    `;
+    const { typeRegistry } = parseCode(code);
+    const derived = shapeOf(typeRegistry, 'Derived');
+
+    expect(derived.id).toBe('number');
+    expect(derived.label).toBe('string');
+    expect(derived.__meta).toBeUndefined();
+  });
+
+  test('should merge bases declared later and chained bases', () => {
+    const code = `
+      interface C extends B { c: boolean }
+      interface B extends A { b: string }
+      interface A { a: number }
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(shapeOf(typeRegistry, 'C')).toMatchObject({ a: 'number', b: 'string', c: 'boolean' });
+  });
+
+  test('should use merged shapes where the interface is referenced', () => {
+    const code = `
+      interface User { id: number }
+      interface Admin extends User { role: string }
+      let admin: Admin = { id: 1, role: "root" };
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(typeRegistry.find(t => t.name === 'admin').type).toMatchObject({ id: 'number', role: 'string' });
+  });
+});
+
+describe('Parser - Generic Instantiation', () => {
+  const typeOf = (typeRegistry, name) => typeRegistry.find(t => t.name === name).type;
+
+  test('should substitute type arguments into generic aliases and interfaces', () => {
+    const code = `
+      type Box<T> = { value: T };
+      interface Pair<A, B> { first: A; second: B[] }
+      let box: Box<number> = { value: 1 };
+      let pair: Pair<string, boolean> = { first: "a", second: [true] };
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(typeOf(typeRegistry, 'box')).toEqual({ value: 'number' });
+    expect(typeOf(typeRegistry, 'pair')).toEqual({ first: 'string', second: { kind: 'array', elementType: 'boolean' } });
+    expect(typeRegistry.find(t => t.name === 'Pair').typeParams.map(p => p.name)).toEqual(['A', 'B']);
+  });
+
+  test('should apply defaults, then constraints, for omitted arguments', () => {
+    const code = `
+      type Maybe<T = string> = T | null;
+      interface Entry<K extends string, V = K> { key: K; value: V }
+      let m: Maybe = null;
+      let e: Entry = { key: "a", value: "b" };
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(typeOf(typeRegistry, 'm')).toEqual({ kind: 'union', types: ['string', 'null'] });
+    expect(typeOf(typeRegistry, 'e')).toEqual({ key: 'string', value: 'string' });
+  });
+
+  test('should leave literal values and shadowed parameters alone', () => {
+    const code = `
+      type Tagged<T> = { tag: "T"; map: <T>(x: T) => T; value: T };
+      let t: Tagged<number> = { tag: "T", map: x => x, value: 1 };
+    `;
+    const { typeRegistry } = parseCode(code);
+    const tagged = typeOf(typeRegistry, 't');
+
+    expect(tagged.tag).toEqual({ kind: 'literal', value: 'T' });
+    expect(tagged.map.returnType).toBe('T');
+    expect(tagged.value).toBe('number');
+  });
+
+  test('should instantiate generic bases in extends clauses', () => {
+    const code = `
+      interface Box<T> { value: T }
+      interface Labeled<T> extends Box<T[]> { label: string }
+      let l: Labeled<number> = { value: [1], label: "n" };
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(typeOf(typeRegistry, 'l')).toMatchObject({
+      value: { kind: 'array', elementType: 'number' },
+      label: 'string'
+    });
+  });
+});
+
+describe('Parser - Utility Types', () => {
+  const aliasOf = (code, name) => parseCode(code).typeRegistry.find(t => t.name === name).type;
+  const user = 'interface User { id: number; name: string; email?: string }';
+
+  test('should evaluate property utilities into object shapes', () => {
+    expect(aliasOf(`${user} type T = Pick<User, "id" | "name">;`, 'T')).toEqual({ id: 'number', name: 'string' });
+    expect(aliasOf(`${user} type T = Omit<User, "email">;`, 'T')).toEqual({ id: 'number', name: 'string' });
+    expect(aliasOf(`${user} type T = Required<User>;`, 'T')).toEqual({ id: 'number', name: 'string', email: 'string' });
+    expect(aliasOf(`${user} type T = Partial<User>;`, 'T').id).toEqual({ kind: 'optional', type: 'number' });
+    expect(aliasOf(`${user} type T = Readonly<User>;`, 'T').__meta.name).toEqual({ readonly: true });
+  });
+
+  test('should evaluate union filters', () => {
+    expect(aliasOf('type T = NonNullable<string | null | undefined>;', 'T')).toBe('string');
+    expect(aliasOf('type T = Exclude<"a" | "b" | 1, string>;', 'T')).toEqual({ kind: 'literal', value: 1 });
+    expect(aliasOf('type T = Extract<number | string, number>;', 'T')).toBe('number');
+  });
+
+  test('should evaluate function and promise utilities', () => {
+    const fn = 'type F = (a: number, b?: string) => boolean;';
+
+    expect(aliasOf(`${fn} type T = ReturnType<F>;`, 'T')).toBe('boolean');
+    expect(aliasOf(`${fn} type T = Parameters<F>;`, 'T')).toEqual({
+      kind: 'tuple',
+      elements: ['number', { kind: 'optionalElement', type: 'string' }]
+    });
+    expect(aliasOf('type T = Parameters<(a: number, ...rest: string[]) => void>;', 'T').elements)
+      .toEqual(aliasOf('type T = [number, ...string[]];', 'T').elements);
+    expect(aliasOf('type T = Awaited<Promise<Promise<number>>>;', 'T')).toBe('number');
+  });
+
+  test('should evaluate function utilities over typeof a declared function', () => {
+    const code = `
+      type R = ReturnType<typeof area>;
+      type P = Parameters<typeof area>;
+      function area(width: number, height?: number): number { return width * (height ?? width); }
+      const greet = (name: string, ...titles: string[]): string => name;
+      let args: Parameters<typeof greet> = ["Ada"];
+    `;
+    const { typeRegistry } = parseCode(code);
+    const find = name => typeRegistry.find(t => t.name === name).type;
+
+    expect(find('R')).toBe('number');
+    expect(find('P')).toEqual({ kind: 'tuple', elements: ['number', { kind: 'optionalElement', type: 'number' }] });
+    expect(find('args')).toEqual({ kind: 'tuple', elements: ['string', { kind: 'rest', type: 'string' }] });
+    expect(aliasOf('type T = ReturnType<typeof missing>;', 'T')).toEqual({
+      kind: 'returnType',
+      type: { kind: 'typeof', expression: 'missing' }
+    });
+  });
+
+  test('should defer utilities over type parameters until instantiation', () => {
+    const code = `${user} type Patch<T> = Partial<T>; let p: Patch<User> = {};`;
+    const { typeRegistry } = parseCode(code);
+
+    expect(typeRegistry.find(t => t.name === 'Patch').type).toEqual({ kind: 'partial', type: 'T' });
+    expect(typeRegistry.find(t => t.name === 'p').type.name).toEqual({ kind: 'optional', type: 'string' });
+  });
+});
+
+describe('Parser - Forward and Recursive References', () => {
+  const entry = (typeRegistry, name) => typeRegistry.find(t => t.name === name);
+
+  test('should resolve types declared later in the module', () => {
+    const code = `
+      interface Order { customer: Customer; status: Status }
+      interface Customer { name: string }
+      type Status = "open" | "closed";
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(entry(typeRegistry, 'Order').shape).toEqual({
+      customer: { name: 'string' },
+      status: { kind: 'union', types: [{ kind: 'literal', value: 'open' }, { kind: 'literal', value: 'closed' }] }
+    });
+  });
+
+  test('should keep self references as lazy refs', () => {
+    const code = `
+      interface TreeNode { value: number; children: TreeNode[] }
+      type List<T> = { value: T; next: List<T> | null };
+      let list: List<number> = { value: 1, next: null };
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(entry(typeRegistry, 'TreeNode').shape.children).toEqual({
+      kind: 'array',
+      elementType: { kind: 'ref', name: 'TreeNode' }
+    });
+    expect(entry(typeRegistry, 'list').type.next.types[0]).toEqual({ kind: 'ref', name: 'List', typeArgs: ['number'] });
+  });
+
+  test('should break cycles between mutually recursive types', () => {
+    const code = `
+      interface Employee { manager: Manager | null }
+      interface Manager { reports: Employee[] }
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(entry(typeRegistry, 'Manager').shape.reports.elementType).toEqual({ kind: 'ref', name: 'Employee' });
+    expect(entry(typeRegistry, 'Employee').shape.manager.types[0].reports.elementType).toEqual({ kind: 'ref', name: 'Employee' });
+  });
+
+  test('should refer to classes and built-in objects as instances', () => {
+    const code = `
+      interface Ledger { owner: Account; opened: Date; meta: Meta }
+      interface Meta { tag: string }
+      class Account {}
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(entry(typeRegistry, 'Ledger').shape).toEqual({
+      owner: { kind: 'instance', name: 'Account' },
+      opened: { kind: 'instance', name: 'Date' },
+      meta: { tag: 'string' }
+    });
+  });
+});
+
 describe('Parser - Functions', () => {
   test('should parse function with typed parameters', () => {
     const code = 'function add(a: number, b: number) { return a + b; }';
@@ -105,4 +334,42 @@ describe('Parser - Functions', () => {
     const func = ast.body[0];
     expect(func.returnType).toBeDefined();
   });
+
+  test('should register destructured and defaulted parameters', () => {
+    const code = 'function f({ id, name: label }: { id: number; name: string }, [first]: string[], limit: number = 10) {}';
+    const { typeRegistry } = parseCode(code);
+    const params = typeRegistry.find(e => e.name === 'f').params;
+
+    expect(params.map(p => p.name)).toEqual(['{ id, name: label }', '[first]', 'limit']);
+    expect(params[0].type).toEqual({ id: 'number', name: 'string' });
+    expect(params[2]).toEqual({ name: 'limit', type: 'number', optional: true, hasDefault: true });
+  });
+
+  test('should record parameters of method and call signatures', () => {
+    const code = `
+      interface Emitter {
+        on(event: string, cb?: () => void): boolean;
+        (...args: number[]): void;
+      }
+    `;
+    const { typeRegistry } = parseCode(code);
+    const shape = typeRegistry.find(e => e.name === 'Emitter').shape;
+
+    expect(shape.on.params.map(p => [p.name, p.optional])).toEqual([['event', false], ['cb', true]]);
+    expect(shape.on.params[1].type.kind).toBe('function');
+    expect(shape.__callSignature.params[0]).toMatchObject({ name: '...args', type: { kind: 'array', elementType: 'number' } });
+  });
+
+  test('should record type predicates of guards and assertion functions', () => {
+    const code = `
+      function isText(x: unknown): x is string { return typeof x === 'string'; }
+      function assertOk(cond: unknown): asserts cond {}
+    `;
+    const { typeRegistry } = parseCode(code);
+
+    expect(typeRegistry.find(e => e.name === 'isText').returnType)
+      .toEqual({ kind: 'predicate', parameterName: 'x', type: 'string', asserts: false });
+    expect(typeRegistry.find(e => e.name === 'assertOk').returnType)
+      .toEqual({ kind: 'predicate', parameterName: 'cond', type: null, asserts: true });
+  });
 });
@@ -0,0 +1,61 @@
+/**
+ * Watch Tests
+ * Tests import graph discovery and diagnostic diffing used by --watch
+ */
+
+import path from 'path';
+import { checkImportGraph, diffDiagnostics } from '../src/watch/watch.js';
+import { makeProject, removeProjects } from './helpers.js';
+
+afterAll(removeProjects);
+
+describe('Watch - Import Graph', () => {
+  test('should follow relative .tjs imports transitively', () => {
+    const root = makeProject({
+      'app.tjs': `import { a } from './lib/a.tjs';\nimport fs from 'fs';`,
+      'lib/a.tjs': `export { b as a } from './b.tjs';`,
+      'lib/b.tjs': 'export const b: number = 1;'
+    });
+
+    const { files, diagnostics } = checkImportGraph(path.join(root, 'app.tjs'));
+
+    expect(files).toEqual([
+      path.join(root, 'app.tjs'),
+      path.join(root, 'lib/a.tjs'),
+      path.join(root, 'lib/b.tjs')
+    ]);
+    expect(diagnostics).toHaveLength(0);
+  });
+
+  test('should report static and syntax errors per file', () => {
+    const root = makeProject({
+      'app.tjs': `import './broken.tjs';\nlet count: number = "one";`,
+      'broken.tjs': 'let x: = ;'
+    });
+
+    const { files, diagnostics } = checkImportGraph(path.join(root, 'app.tjs'));
+
+    expect(files).toContain(path.join(root, 'broken.tjs'));
+    expect(diagnostics.map(d => path.basename(d.file))).toEqual(['app.tjs', 'broken.tjs']);
+    expect(diagnostics[0].message).toContain("Variable 'count'");
+    expect(diagnostics[1].code).toBe('TJS1001');
+  });
+});
+
+describe('Watch - Diagnostic Diffing', () => {
+  test('should only report changed diagnostics', () => {
+    const previous = [
+      { file: 'a.tjs', message: 'old error' },
+      { file: 'a.tjs', message: 'still here' }
+    ];
+    const current = [
+      { file: 'a.tjs', message: 'still here' },
+      { file: 'b.tjs', message: 'new error' }
+    ];
+
+    const { added, resolved } = diffDiagnostics(previous, current);
+
+    expect(added).toEqual([{ file: 'b.tjs', message: 'new error' }]);
+    expect(resolved).toEqual([{ file: 'a.tjs', message: 'old error' }]);
+  });
+});